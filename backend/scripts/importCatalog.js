@@ -0,0 +1,16 @@
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+
+import { catalog, parseCatalogImport } from '../src/services/catalog.js';
+
+// Usage: node scripts/importCatalog.js <file.csv|file.json> [--replace]
+const [file, ...flags] = process.argv.slice(2);
+if (!file) {
+	console.error('Usage: npm run catalog:import -- <file.csv|file.json> [--replace]');
+	process.exit(1);
+}
+
+const text = await readFile(file, 'utf8');
+const entries = parseCatalogImport(extname(file).toLowerCase() === '.json' ? JSON.parse(text) : text);
+const result = await catalog.importEntries(entries, { replace: flags.includes('--replace') });
+console.log(`Catalog import: ${result.added} added, ${result.updated} updated, ${result.total} total`);
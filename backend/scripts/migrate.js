@@ -0,0 +1,97 @@
+import { parseArgs } from 'node:util';
+
+import { recordStore } from '../src/storage/index.js';
+import { SCHEMA_VERSION } from '../src/services/recordModel.js';
+import { MIGRATIONS, migrateRecord, needsMigration } from '../src/services/migrations.js';
+import { migrateStoredRecord } from '../src/services/records.js';
+import { diffRecords } from '../src/services/history.js';
+import { VERSION_CONFLICT } from '../src/storage/versionConflict.js';
+
+const USAGE = `Usage:
+  npm run migrate -- [--dry-run] [--reindex] [--batch-size 100]
+  npm run migrate -- --list`;
+
+const { values } = parseArgs({
+	options: {
+		'dry-run': { type: 'boolean', default: false },
+		reindex: { type: 'boolean', default: false },
+		'batch-size': { type: 'string', default: '100' },
+		list: { type: 'boolean', default: false },
+		help: { type: 'boolean', default: false }
+	}
+});
+
+const batchSize = Number(values['batch-size']);
+if (values.help || !Number.isInteger(batchSize) || batchSize < 1) {
+	console.error(USAGE);
+	process.exit(values.help ? 0 : 1);
+}
+
+if (values.list) {
+	MIGRATIONS.forEach((migration) => console.log(`${migration.version}\t${migration.description}`));
+	process.exit(0);
+}
+
+const dryRun = values['dry-run'];
+const reindex = values.reindex && !dryRun;
+const format = (value) => (value === null ? '—' : JSON.stringify(value));
+const totals = { scanned: 0, outdated: 0, migrated: 0, reindexed: 0, failed: 0 };
+
+// Walks the whole table one page (batch) at a time. Records are written one by one with
+// the same version check as every other write, so a running backend can stay up.
+let cursor;
+let batch = 0;
+do {
+	const page = await recordStore.list({ limit: batchSize, cursor });
+	batch += 1;
+	const outdated = page.items.filter(needsMigration);
+	totals.scanned += page.items.length;
+	totals.outdated += outdated.length;
+
+	for (const stored of outdated) {
+		if (dryRun) {
+			const { record, from, to } = migrateRecord(stored);
+			console.log(`${stored.id}: schema ${from} -> ${to}`);
+			diffRecords(stored, record).forEach((change) => {
+				console.log(`  ${change.path}: ${format(change.old)} -> ${format(change.new)}`);
+			});
+			continue;
+		}
+		try {
+			const result = await migrateStoredRecord(stored.id);
+			if (result) {
+				totals.migrated += 1;
+				console.log(`${stored.id}: schema ${result.from} -> ${result.to}`);
+			}
+		} catch (error) {
+			totals.failed += 1;
+			console.error(`${stored.id}: ${error instanceof Error ? error.message : error}`);
+		}
+	}
+	// `--reindex` stores current records unchanged, so items written before the duplicate
+	// and series indexes existed get their `duplicate_key` and `series_key`. No history entry: nothing changed.
+	if (reindex) {
+		for (const stored of page.items.filter((record) => !needsMigration(record))) {
+			try {
+				await recordStore.put(stored, { expectedVersion: stored.meta?.version ?? 0 });
+				totals.reindexed += 1;
+			} catch (error) {
+				// A record written meanwhile was indexed by that write.
+				if (error.code === VERSION_CONFLICT) continue;
+				totals.failed += 1;
+				console.error(`${stored.id}: ${error instanceof Error ? error.message : error}`);
+			}
+		}
+	}
+	console.log(`batch ${batch}: ${page.items.length} read, ${outdated.length} outdated`);
+	cursor = page.nextCursor ?? undefined;
+} while (cursor);
+
+console.log(
+	dryRun
+		? `Dry run: ${totals.outdated} of ${totals.scanned} records would move to schema ${SCHEMA_VERSION}`
+		: `Migrated ${totals.migrated} of ${totals.outdated} outdated records (${totals.scanned} read, ${
+			reindex ? `${totals.reindexed} reindexed, ` : ''
+		}${totals.failed} failed)`
+);
+process.exit(totals.failed ? 1 : 0);
@@ -0,0 +1,79 @@
+import { parseArgs } from 'node:util';
+
+import { users } from '../src/services/users.js';
+
+const USAGE = `Usage:
+  npm run users -- add --kind <user|station> --role <scanner|reviewer|admin> [--name N] [--first F] [--last L] [--email E] [--phone P]
+  npm run users -- list
+  npm run users -- role <uid> <scanner|reviewer|admin>
+  npm run users -- rotate <uid>
+  npm run users -- disable <uid>
+  npm run users -- enable <uid>`;
+
+const { positionals, values } = parseArgs({
+	allowPositionals: true,
+	options: {
+		kind: { type: 'string', default: 'user' },
+		role: { type: 'string', default: 'scanner' },
+		name: { type: 'string', default: '' },
+		first: { type: 'string', default: '' },
+		last: { type: 'string', default: '' },
+		email: { type: 'string', default: '' },
+		phone: { type: 'string', default: '' }
+	}
+});
+const [command, uid, argument] = positionals;
+
+const printToken = ({ user, token }) => {
+	console.log(`${user.kind} ${user.uid} ${user.role} ${user.name || `${user.first} ${user.last}`.trim()}`);
+	console.log(`token: ${token}`);
+	console.log('The token is shown only once; store it on the station or give it to the user.');
+};
+
+const requireUid = () => {
+	if (!uid) {
+		console.error(USAGE);
+		process.exit(1);
+	}
+	return uid;
+};
+
+const notFound = () => {
+	console.error(`No user with uid ${uid}`);
+	process.exit(1);
+};
+
+switch (command) {
+	case 'add':
+		printToken(await users.create(values));
+		break;
+	case 'list':
+		(await users.list()).forEach((user) => {
+			const name = user.name || `${user.first} ${user.last}`.trim();
+			const status = user.disabled ? 'disabled' : 'active';
+			console.log([user.uid, user.kind, user.role ?? 'scanner', status, name].join('\t'));
+		});
+		break;
+	case 'role': {
+		const user = await users.setRole(requireUid(), argument);
+		if (!user) notFound();
+		console.log(`${user.uid} is now ${user.role}`);
+		break;
+	}
+	case 'rotate': {
+		const result = await users.rotateToken(requireUid());
+		if (!result) notFound();
+		printToken(result);
+		break;
+	}
+	case 'disable':
+	case 'enable': {
+		const user = await users.setDisabled(requireUid(), command === 'disable');
+		if (!user) notFound();
+		console.log(`${user.uid} ${user.disabled ? 'disabled' : 'enabled'}`);
+		break;
+	}
+	default:
+		console.error(USAGE);
+		process.exit(1);
+}
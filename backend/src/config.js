@@ -1,4 +1,6 @@
 import 'dotenv/config';
+import crypto from 'node:crypto';
+import { join, resolve } from 'node:path';
 
 const required = (value, name) => {
 	if (!value) {
@@ -15,20 +17,90 @@ const parseOrigins = (value) => {
 		.filter(Boolean);
 };
 
+const resolveChoice = (name, fallback, choices) => {
+	const value = (process.env[name] ?? fallback).trim().toLowerCase();
+	if (!choices.includes(value)) {
+		throw new Error(`Unsupported ${name} "${value}" (expected one of ${choices.join(', ')})`);
+	}
+	return value;
+};
+
+const blobStore = resolveChoice('BLOB_STORE', 's3', ['s3', 'fs']);
+const recordStore = resolveChoice('RECORD_STORE', 'dynamo', ['dynamo', 'file']);
+const visionProvider = resolveChoice('VISION_PROVIDER', 'openai', ['openai', 'local', 'tesseract', 'fixture']);
+const usesAws = blobStore === 's3' || recordStore === 'dynamo';
+
 const resolveDynamoTable = () => {
 	const table = process.env.DYNAMO_TABLE_NAME ?? process.env.DYNAMODB_TABLE;
-	return required(table, 'DYNAMO_TABLE_NAME (or DYNAMODB_TABLE)');
+	return recordStore === 'dynamo' ? required(table, 'DYNAMO_TABLE_NAME (or DYNAMODB_TABLE)') : table;
 };
 
+const dynamoTable = resolveDynamoTable();
+const port = Number(process.env.PORT ?? 4000);
+
+// Unset or 0 means no limit.
+const limit = (name) => Math.max(0, Number(process.env[name] ?? 0));
+
 export const config = {
-	port: Number(process.env.PORT ?? 4000),
-	awsRegion: required(process.env.AWS_REGION, 'AWS_REGION'),
-	bucket: required(process.env.S3_BUCKET_NAME, 'S3_BUCKET_NAME'),
+	port,
+	publicUrl: (process.env.PUBLIC_URL ?? `http://localhost:${port}`).replace(/\/$/, ''),
+	blobStore,
+	recordStore,
+	localDataDir: resolve(process.env.LOCAL_DATA_DIR ?? 'data'),
+	localUploadSecret: process.env.LOCAL_UPLOAD_SECRET || crypto.randomBytes(32).toString('hex'),
+	awsRegion: usesAws ? required(process.env.AWS_REGION, 'AWS_REGION') : process.env.AWS_REGION,
+	bucket: blobStore === 's3' ? required(process.env.S3_BUCKET_NAME, 'S3_BUCKET_NAME') : process.env.S3_BUCKET_NAME,
 	keyPrefix: process.env.S3_KEY_PREFIX ?? '',
 	presignTtl: Number(process.env.S3_PRESIGN_TTL ?? 60),
+	exportMediaUrls: resolveChoice('EXPORT_MEDIA_URLS', 'signed', ['signed', 'public']),
+	// SigV4 presigned URLs are valid for at most seven days.
+	exportUrlTtl: Math.min(604800, Math.max(60, Number(process.env.EXPORT_URL_TTL ?? 86400))),
 	allowedOrigins: parseOrigins(process.env.ALLOWED_ORIGINS),
 	maxUploadBytes: Number(process.env.MAX_UPLOAD_BYTES ?? 5_000_000),
-	openaiApiKey: required(process.env.OPENAI_API_KEY, 'OPENAI_API_KEY'),
+	visionProvider,
+	openaiApiKey:
+		visionProvider === 'openai'
+			? required(process.env.OPENAI_API_KEY, 'OPENAI_API_KEY')
+			: process.env.OPENAI_API_KEY,
 	openaiModel: process.env.OPENAI_MODEL ?? 'gpt-4.1-mini',
-	dynamoTable: resolveDynamoTable()
+	localVisionBaseUrl:
+		visionProvider === 'local'
+			? required(process.env.LOCAL_VISION_BASE_URL, 'LOCAL_VISION_BASE_URL')
+			: process.env.LOCAL_VISION_BASE_URL,
+	localVisionModel: process.env.LOCAL_VISION_MODEL ?? 'llava',
+	localVisionApiKey: process.env.LOCAL_VISION_API_KEY ?? 'local',
+	tesseractLang: process.env.TESSERACT_LANG ?? 'eng',
+	tesseractLangPath: process.env.TESSERACT_LANG_PATH,
+	visionFixturePath: process.env.VISION_FIXTURE_PATH,
+	dynamoTable,
+	recordWriteAttempts: Math.max(1, Number(process.env.RECORD_WRITE_ATTEMPTS ?? 5)),
+	historyTable: process.env.DYNAMO_HISTORY_TABLE ?? `${dynamoTable ?? 'infinity-space-uploads'}-history`,
+	duplicateIndex: process.env.DYNAMO_DUPLICATE_INDEX ?? 'duplicate_key-index',
+	seriesIndex: process.env.DYNAMO_SERIES_INDEX ?? 'series_key-index',
+	queueFile: resolve(process.env.QUEUE_FILE ?? join(process.env.LOCAL_DATA_DIR ?? 'data', 'jobs.json')),
+	queueConcurrency: Math.max(1, Number(process.env.QUEUE_CONCURRENCY ?? 2)),
+	queueMaxAttempts: Math.max(1, Number(process.env.QUEUE_MAX_ATTEMPTS ?? 3)),
+	queueBackoffMs: Number(process.env.QUEUE_BACKOFF_MS ?? 5000),
+	idempotencyTtlMs: Math.max(0, Number(process.env.IDEMPOTENCY_TTL_MS ?? 24 * 60 * 60 * 1000)),
+	analysisMode: resolveChoice('ANALYSIS_MODE', 'per_image', ['per_image', 'combined']),
+	analysisCameraCount: Math.max(1, Number(process.env.ANALYSIS_CAMERA_COUNT ?? 2)),
+	analysisCollectMs: Math.max(0, Number(process.env.ANALYSIS_COLLECT_MS ?? 60000)),
+	barcodeDecoding: (process.env.BARCODE_DECODING ?? 'true').toLowerCase() !== 'false',
+	duplicateHashDistance: Number(process.env.DUPLICATE_HASH_DISTANCE ?? 6),
+	catalogFile: resolve(process.env.CATALOG_FILE ?? join(process.env.LOCAL_DATA_DIR ?? 'data', 'catalog.json')),
+	listingTemplatesFile: resolve(
+		process.env.LISTING_TEMPLATES_FILE ?? join(process.env.LOCAL_DATA_DIR ?? 'data', 'listing-templates.json')
+	),
+	catalogMatchThreshold: Math.min(1, Math.max(0, Number(process.env.CATALOG_MATCH_THRESHOLD ?? 0.8))),
+	authRequired: (process.env.AUTH_REQUIRED ?? 'true').toLowerCase() !== 'false',
+	anonymousRole: resolveChoice('AUTH_ANONYMOUS_ROLE', 'scanner', ['scanner', 'reviewer', 'admin']),
+	usageFile: resolve(process.env.USAGE_FILE ?? join(process.env.LOCAL_DATA_DIR ?? 'data', 'usage.json')),
+	budget: {
+		day: { calls: limit('BUDGET_DAILY_CALLS'), tokens: limit('BUDGET_DAILY_TOKENS') },
+		month: { calls: limit('BUDGET_MONTHLY_CALLS'), tokens: limit('BUDGET_MONTHLY_TOKENS') }
+	},
+	budgetAction: resolveChoice('BUDGET_ACTION', 'queue', ['queue', 'refuse']),
+	rateLimitPerConnection: Math.max(0, Number(process.env.RATE_LIMIT_CONNECTION_PER_MINUTE ?? 20)),
+	rateLimitPerStation: Math.max(0, Number(process.env.RATE_LIMIT_STATION_PER_MINUTE ?? 60)),
+	usersFile: resolve(process.env.USERS_FILE ?? join(process.env.LOCAL_DATA_DIR ?? 'data', 'users.json'))
 };
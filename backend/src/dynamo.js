@@ -1,13 +1,9 @@
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
-import { config } from './config.js';
 
-const dynamoClient = new DynamoDBClient({
-	region: config.awsRegion
-});
-
-export const dynamo = DynamoDBDocumentClient.from(dynamoClient, {
-	marshallOptions: {
-		removeUndefinedValues: true
-	}
-});
+export const createDynamoClient = (region) =>
+	DynamoDBDocumentClient.from(new DynamoDBClient({ region }), {
+		marshallOptions: {
+			removeUndefinedValues: true
+		}
+	});
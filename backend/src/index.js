@@ -2,9 +2,21 @@ import express from 'express';
 import helmet from 'helmet';
 import morgan from 'morgan';
 import cors from 'cors';
+import { ZodError } from 'zod';
 
 import { config } from './config.js';
 import { initializeWebSocket } from './ws.js';
+import { recordsRouter } from './routes/records.js';
+import { createUploadsRouter } from './routes/uploads.js';
+import { jobsRouter } from './routes/jobs.js';
+import { catalogRouter } from './routes/catalog.js';
+import { usageRouter } from './routes/usage.js';
+import { listingsRouter } from './routes/listings.js';
+import { authenticate, authRouter, requireRole } from './routes/auth.js';
+import { blobStore } from './storage/index.js';
+import { analysisQueue } from './services/analysisQueue.js';
+import { users } from './services/users.js';
+import { neonLog } from './logger.js';
 
 const app = express();
 
@@ -17,10 +29,14 @@ app.use(
 			}
 			return callback(new Error('Not allowed by CORS'));
 		},
-		credentials: true
+		credentials: true,
+		// Lets the frontend read the file name of record exports.
+		exposedHeaders: ['Content-Disposition']
 	})
 );
 app.use(express.json({ limit: '6mb' }));
+// Bearer tokens and signed blob URLs carry `?token=`; keep their values out of the log.
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, '$1[redacted]'));
 app.use(
 	morgan('dev', {
 		skip: () => process.env.NODE_ENV === 'test'
@@ -31,12 +47,29 @@ app.get('/health', (req, res) => {
 	res.json({ ok: true, uptime: process.uptime() });
 });
 
+app.use('/auth', authenticate, authRouter);
+app.use('/records', authenticate, recordsRouter);
+app.use('/jobs', authenticate, requireRole('reviewer'), jobsRouter);
+app.use('/catalog', authenticate, catalogRouter);
+app.use('/usage', authenticate, requireRole('admin'), usageRouter);
+app.use('/listings', authenticate, requireRole('reviewer'), listingsRouter);
+
+if (blobStore.name === 'fs') {
+	app.use('/uploads', createUploadsRouter(blobStore));
+}
+
 app.use((req, res) => {
 	res.status(404).json({ message: 'Not found' });
 });
 
 // eslint-disable-next-line no-unused-vars
 app.use((err, req, res, next) => {
+	if (err instanceof ZodError) {
+		return res.status(400).json({
+			message: 'Invalid request',
+			issues: err.issues
+		});
+	}
 	console.error(err);
 	const status = err.status ?? 500;
 	res.status(status).json({
@@ -44,6 +77,12 @@ app.use((err, req, res, next) => {
 	});
 });
 
+await analysisQueue.start();
+
+if (config.authRequired && !(await users.list()).length) {
+	neonLog('AUTH', 'fail', 'no users yet; create one with `npm run users -- add`');
+}
+
 const server = app.listen(config.port, () => {
 	console.log(`Backend listening on port ${config.port}`);
 });
@@ -51,6 +90,7 @@ const server = app.listen(config.port, () => {
 initializeWebSocket(server);
 
 const shutdown = () => {
+	analysisQueue.stop();
 	server.close(() => {
 		process.exit(0);
 	});
@@ -0,0 +1,3 @@
+export const asyncHandler = (handler) => (req, res, next) => {
+	Promise.resolve(handler(req, res, next)).catch(next);
+};
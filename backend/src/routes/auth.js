@@ -0,0 +1,38 @@
+import { Router } from 'express';
+
+import { hasRole, identifyRequest } from '../services/users.js';
+import { neonLog } from '../logger.js';
+import { asyncHandler } from './asyncHandler.js';
+
+// Sets `req.identity` (the anonymous identity when AUTH_REQUIRED=false and no token
+// is sent) or answers 401.
+export const authenticate = asyncHandler(async (req, res, next) => {
+	try {
+		req.identity = await identifyRequest(req);
+	} catch (error) {
+		if (error.status !== 401) throw error;
+		neonLog('AUTH', 'fail', `${req.method} ${req.baseUrl} ${error.message}`);
+		res.status(401).json({ message: error.message });
+		return;
+	}
+	next();
+});
+
+// Answers 403 unless the authenticated identity has at least `role`.
+export const requireRole = (role) => (req, res, next) => {
+	if (hasRole(req.identity, role)) {
+		next();
+		return;
+	}
+	neonLog('AUTH', 'fail', `${req.method} ${req.baseUrl} needs ${role}, uid=${req.identity?.uid || 'anonymous'}`);
+	res.status(403).json({ message: `Requires the ${role} role` });
+};
+
+export const authRouter = Router();
+
+authRouter.get(
+	'/me',
+	asyncHandler(async (req, res) => {
+		res.json({ identity: req.identity });
+	})
+);
@@ -0,0 +1,66 @@
+import express, { Router } from 'express';
+
+import { catalog, parseCatalogImport } from '../services/catalog.js';
+import { catalogResolveSchema, catalogReviewQuerySchema } from '../validators.js';
+import { asyncHandler } from './asyncHandler.js';
+import { requireRole } from './auth.js';
+
+export const catalogRouter = Router();
+
+catalogRouter.get(
+	'/',
+	asyncHandler(async (req, res) => {
+		res.json({ items: await catalog.list() });
+	})
+);
+
+// JSON ({ entries: [...] } or an array) or text/csv. `?replace=true` drops entries
+// that are not in the import.
+catalogRouter.post(
+	'/import',
+	requireRole('admin'),
+	express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+	asyncHandler(async (req, res) => {
+		const entries = parseCatalogImport(req.body);
+		if (!entries.length) {
+			res.status(400).json({ message: 'Import contains no catalog entries' });
+			return;
+		}
+		res.json(await catalog.importEntries(entries, { replace: req.query.replace === 'true' }));
+	})
+);
+
+catalogRouter.get(
+	'/review',
+	asyncHandler(async (req, res) => {
+		const query = catalogReviewQuerySchema.parse(req.query);
+		res.json({ items: await catalog.listReview(query) });
+	})
+);
+
+catalogRouter.post(
+	'/review/:id/resolve',
+	requireRole('admin'),
+	asyncHandler(async (req, res) => {
+		const body = catalogResolveSchema.parse(req.body ?? {});
+		const item = await catalog.resolveReview(req.params.id, body);
+		if (!item) {
+			res.status(404).json({ message: 'Review item or catalog entry not found' });
+			return;
+		}
+		res.json(item);
+	})
+);
+
+catalogRouter.delete(
+	'/review/:id',
+	requireRole('admin'),
+	asyncHandler(async (req, res) => {
+		const item = await catalog.dismissReview(req.params.id);
+		if (!item) {
+			res.status(404).json({ message: 'Review item not found' });
+			return;
+		}
+		res.status(204).end();
+	})
+);
@@ -0,0 +1,53 @@
+import { Router } from 'express';
+
+import { analysisQueue } from '../services/analysisQueue.js';
+import { jobQuerySchema } from '../validators.js';
+import { asyncHandler } from './asyncHandler.js';
+
+const summarize = ({ payload, events, ...job }) => ({
+	...job,
+	key: payload?.key,
+	fileName: payload?.fileName,
+	lastEvent: events?.[events.length - 1] ?? null
+});
+
+export const jobsRouter = Router();
+
+jobsRouter.get(
+	'/',
+	asyncHandler(async (req, res) => {
+		const query = jobQuerySchema.parse(req.query);
+		res.json({ items: analysisQueue.list(query).map(summarize) });
+	})
+);
+
+jobsRouter.get(
+	'/dead',
+	asyncHandler(async (req, res) => {
+		res.json({ items: analysisQueue.deadLetters().map(summarize) });
+	})
+);
+
+jobsRouter.get(
+	'/:id',
+	asyncHandler(async (req, res) => {
+		const job = analysisQueue.get(req.params.id);
+		if (!job) {
+			res.status(404).json({ message: 'Job not found' });
+			return;
+		}
+		res.json(job);
+	})
+);
+
+jobsRouter.post(
+	'/:id/retry',
+	asyncHandler(async (req, res) => {
+		const job = analysisQueue.retry(req.params.id);
+		if (!job) {
+			res.status(404).json({ message: 'Dead-letter job not found' });
+			return;
+		}
+		res.json(summarize(job));
+	})
+);
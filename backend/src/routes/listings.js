@@ -0,0 +1,41 @@
+import { Router } from 'express';
+
+import { formatListingsCsv, generateListings, listingTemplates } from '../services/listings.js';
+import { listingCsvSchema, listingGenerateSchema, listingTemplatesSchema } from '../validators.js';
+import { asyncHandler } from './asyncHandler.js';
+
+export const listingsRouter = Router();
+
+listingsRouter.get(
+	'/templates',
+	asyncHandler(async (req, res) => {
+		res.json(await listingTemplates.get());
+	})
+);
+
+listingsRouter.put(
+	'/templates',
+	asyncHandler(async (req, res) => {
+		res.json(await listingTemplates.save(listingTemplatesSchema.parse(req.body ?? {})));
+	})
+);
+
+// Builds listings from records; `assist` adds the model copywriting pass.
+listingsRouter.post(
+	'/generate',
+	asyncHandler(async (req, res) => {
+		const { ids, ...options } = listingGenerateSchema.parse(req.body ?? {});
+		res.json(await generateListings(ids, { ...options, identity: req.identity }));
+	})
+);
+
+// Takes the (possibly edited) listings back and returns the bulk-upload CSV.
+listingsRouter.post(
+	'/csv',
+	asyncHandler(async (req, res) => {
+		const { listings } = listingCsvSchema.parse(req.body ?? {});
+		res.set('Content-Type', 'text/csv; charset=utf-8');
+		res.set('Content-Disposition', `attachment; filename="listings-${new Date().toISOString().slice(0, 10)}.csv"`);
+		res.send(formatListingsCsv(listings));
+	})
+);
@@ -0,0 +1,112 @@
+import crypto from 'node:crypto';
+import { Router } from 'express';
+
+import { config } from '../config.js';
+import { blobStore } from '../storage/index.js';
+import { asyncHandler } from './asyncHandler.js';
+import { requireRole } from './auth.js';
+import {
+	recordExportQuerySchema,
+	recordHistoryQuerySchema,
+	recordPatchSchema,
+	recordQuerySchema,
+	recordRevertSchema
+} from '../validators.js';
+import {
+	deleteRecord,
+	getRecord,
+	getRecordHistory,
+	listRecords,
+	revertRecord,
+	updateRecord
+} from '../services/records.js';
+import { DEFAULT_EXPORT_COLUMNS, EXPORT_COLUMNS, exportRecords } from '../services/export.js';
+
+// Media entries only store the object key; resolve a URL so clients can render thumbnails.
+// The local fs store only serves objects through signed URLs.
+const mediaUrl = (key) =>
+	blobStore.name === 'fs' ? blobStore.getSignedUrl(key, config.exportUrlTtl) : blobStore.getUrl(key);
+
+const withMediaUrls = async (record) => ({
+	...record,
+	media: await Promise.all(
+		(record.media ?? []).map(async (media) => ({
+			...media,
+			url: media.s3_key ? await mediaUrl(media.s3_key) : null
+		}))
+	)
+});
+
+// History entries carry the request id; clients may pass their own in X-Request-Id.
+const writeContext = (req) => ({
+	identity: req.identity,
+	requestId: req.get('x-request-id') || crypto.randomUUID()
+});
+
+export const recordsRouter = Router();
+
+recordsRouter.get(
+	'/',
+	asyncHandler(async (req, res) => {
+		const query = recordQuerySchema.parse(req.query);
+		const page = await listRecords(query);
+		res.json({ ...page, items: await Promise.all(page.items.map(withMediaUrls)) });
+	})
+);
+
+recordsRouter.get('/export/columns', (req, res) => {
+	res.json({ columns: EXPORT_COLUMNS, defaults: DEFAULT_EXPORT_COLUMNS });
+});
+
+recordsRouter.get(
+	'/export',
+	asyncHandler(async (req, res) => {
+		const query = recordExportQuerySchema.parse(req.query);
+		const { body, contentType, extension } = await exportRecords(query);
+		const fileName = `inventory-${new Date().toISOString().slice(0, 10)}.${extension}`;
+		res.set('Content-Type', contentType);
+		res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+		res.send(body);
+	})
+);
+
+recordsRouter.get(
+	'/:id',
+	asyncHandler(async (req, res) => {
+		res.json(await withMediaUrls(await getRecord(req.params.id)));
+	})
+);
+
+recordsRouter.patch(
+	'/:id',
+	requireRole('reviewer'),
+	asyncHandler(async (req, res) => {
+		const patch = recordPatchSchema.parse(req.body ?? {});
+		res.json(await withMediaUrls(await updateRecord(req.params.id, patch, writeContext(req))));
+	})
+);
+
+recordsRouter.get(
+	'/:id/history',
+	asyncHandler(async (req, res) => {
+		res.json(await getRecordHistory(req.params.id, recordHistoryQuerySchema.parse(req.query)));
+	})
+);
+
+recordsRouter.post(
+	'/:id/revert',
+	requireRole('reviewer'),
+	asyncHandler(async (req, res) => {
+		const { version } = recordRevertSchema.parse(req.body ?? {});
+		res.json(await withMediaUrls(await revertRecord(req.params.id, version, writeContext(req))));
+	})
+);
+
+recordsRouter.delete(
+	'/:id',
+	requireRole('admin'),
+	asyncHandler(async (req, res) => {
+		await deleteRecord(req.params.id, writeContext(req));
+		res.status(204).end();
+	})
+);
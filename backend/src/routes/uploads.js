@@ -0,0 +1,49 @@
+import express, { Router } from 'express';
+
+import { config } from '../config.js';
+import { neonLog, shorten } from '../logger.js';
+import { asyncHandler } from './asyncHandler.js';
+
+// Local stand-in for S3 presigned uploads, mounted only when BLOB_STORE=fs.
+export const createUploadsRouter = (store) => {
+	const router = Router();
+
+	router.put(
+		'/*',
+		express.raw({ type: () => true, limit: config.maxUploadBytes }),
+		asyncHandler(async (req, res) => {
+			const key = req.params[0];
+			const claims = store.verifyUploadToken(key, req.query.token);
+			const contentType = req.get('content-type') ?? '';
+
+			if (!contentType.startsWith(claims.contentType.split('/')[0])) {
+				const error = new Error('Content-Type does not match upload token');
+				error.status = 400;
+				throw error;
+			}
+			if (!Buffer.isBuffer(req.body) || !req.body.length) {
+				const error = new Error('Upload body is empty');
+				error.status = 400;
+				throw error;
+			}
+
+			await store.putObject(key, req.body, { contentType, metadata: claims.metadata });
+			neonLog('BLOB', 'success', `put key=${shorten(key, 40)} bytes=${req.body.length}`);
+			res.status(204).end();
+		})
+	);
+
+	router.get(
+		'/*',
+		asyncHandler(async (req, res) => {
+			store.verifyDownloadToken(req.params[0], req.query.token);
+			const object = await store.getObject(req.params[0]);
+			res.set('Content-Type', object.contentType ?? 'application/octet-stream');
+			// The frontend renders these as thumbnails from another origin.
+			res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+			res.send(object.buffer);
+		})
+	);
+
+	return router;
+};
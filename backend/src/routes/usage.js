@@ -0,0 +1,17 @@
+import { Router } from 'express';
+
+import { usage } from '../services/usage.js';
+import { usageQuerySchema } from '../validators.js';
+import { asyncHandler } from './asyncHandler.js';
+
+export const usageRouter = Router();
+
+// Model call and token counts for today, this month and per day, with the
+// configured budgets and any that are exhausted.
+usageRouter.get(
+	'/',
+	asyncHandler(async (req, res) => {
+		const query = usageQuerySchema.parse(req.query);
+		res.json(await usage.report(query));
+	})
+);
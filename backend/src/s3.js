@@ -1,7 +1,7 @@
 import { S3Client } from '@aws-sdk/client-s3';
-import { config } from './config.js';
 
-export const s3Client = new S3Client({
-	region: config.awsRegion,
-	apiVersion: '2006-03-01'
-});
+export const createS3Client = (region) =>
+	new S3Client({
+		region,
+		apiVersion: '2006-03-01'
+	});
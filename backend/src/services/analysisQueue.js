@@ -0,0 +1,80 @@
+import { config } from '../config.js';
+import { createJobQueue } from './jobQueue.js';
+import { analyzeAndStore, analyzeScan } from './analyzer.js';
+
+export const analysisQueue = createJobQueue({
+	filePath: config.queueFile,
+	concurrency: config.queueConcurrency,
+	maxAttempts: config.queueMaxAttempts,
+	backoffMs: config.queueBackoffMs,
+	handlers: {
+		analyze: (payload, { onStatus, job }) => analyzeAndStore({ requestId: job.requestId, ...payload }, { onStatus }),
+		analyze_scan: ({ scan, prompt, images }, { onStatus }) =>
+			analyzeScan({ scan, prompt, images, combined: true }, { onStatus })
+	}
+});
+
+// Request ids waiting on a job: the one that created it plus, for combined jobs,
+// every upload that was folded in afterwards.
+export const jobRequestIds = (job) =>
+	Array.from(new Set([job.requestId, ...(job.payload?.images ?? []).map((image) => image.requestId)])).filter(
+		Boolean
+	);
+
+// Idempotency keys of the uploads in a job, kept in its payload next to their request
+// ids so they survive a restart with the queue.
+const jobIdempotencyKeys = (job) =>
+	[job.payload?.idempotencyKey, ...(job.payload?.images ?? []).map((image) => image.idempotencyKey)].filter(Boolean);
+
+const waitingForImages = (job) =>
+	job.type === 'analyze_scan' && job.status === 'pending' && job.attempts === 0
+		? Math.max((job.payload.cameraCount ?? 1) - job.payload.images.length, 0)
+		: 0;
+
+// The job an upload with this idempotency key already went into, with the number of
+// images it still waits for. A dead job does not count, so resending an upload whose
+// analysis failed for good queues it again.
+export const findUploadJob = (scan, idempotencyKey) => {
+	if (!idempotencyKey) return null;
+	const job = analysisQueue
+		.list({ scan })
+		.find((candidate) => candidate.status !== 'dead' && jobIdempotencyKeys(candidate).includes(idempotencyKey));
+	return job ? { job, waitingFor: waitingForImages(job) } : null;
+};
+
+// Queues analysis for a finished upload. In `combined` mode the camera images of a
+// scan are collected into one pending `analyze_scan` job that starts as soon as
+// `cameraCount` images are in, or after ANALYSIS_COLLECT_MS with whatever arrived.
+// An upload whose idempotency key is already in the queue returns that job with
+// `duplicate` set instead of being analyzed (and paid for) again.
+export const submitUpload = (upload, { requestId, idempotencyKey }) => {
+	const existing = findUploadJob(upload.scan, idempotencyKey);
+	if (existing) return { ...existing, duplicate: true };
+
+	if (config.analysisMode !== 'combined') {
+		const payload = idempotencyKey ? { ...upload, idempotencyKey } : upload;
+		return { job: analysisQueue.enqueue('analyze', payload, { scan: upload.scan, requestId }), waitingFor: 0 };
+	}
+
+	const { scan, prompt, cameraCount = config.analysisCameraCount, ...image } = upload;
+	const entry = idempotencyKey ? { ...image, requestId, idempotencyKey } : { ...image, requestId };
+	const pending = analysisQueue
+		.list({ status: 'pending', scan })
+		.find((job) => job.type === 'analyze_scan' && job.attempts === 0);
+
+	if (!pending) {
+		const job = analysisQueue.enqueue(
+			'analyze_scan',
+			{ scan, prompt, cameraCount, images: [entry] },
+			{ scan, requestId, delayMs: cameraCount > 1 ? config.analysisCollectMs : 0 }
+		);
+		return { job, waitingFor: cameraCount - 1 };
+	}
+
+	const images = [...pending.payload.images.filter((existing) => existing.key !== image.key), entry];
+	const job = analysisQueue.amend(pending.id, {
+		payload: { ...pending.payload, prompt: prompt ?? pending.payload.prompt, cameraCount, images },
+		runAt: images.length >= cameraCount ? Date.now() : undefined
+	});
+	return { job, waitingFor: Math.max(cameraCount - images.length, 0) };
+};
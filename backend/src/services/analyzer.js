@@ -1,56 +1,34 @@
-import { GetObjectCommand } from '@aws-sdk/client-s3';
-import { PutCommand, GetCommand } from '@aws-sdk/lib-dynamodb';
-import OpenAI from 'openai';
-
-import { config } from '../config.js';
-import { s3Client } from '../s3.js';
-import { dynamo } from '../dynamo.js';
+import { blobStore } from '../storage/index.js';
 import { neonLog, shorten } from '../logger.js';
-
-const SCHEMA_VERSION = 1;
-const UNKNOWN_VALUE = 'UNKNOWN';
-
-const openai = new OpenAI({
-	apiKey: config.openaiApiKey
-});
-
-const streamToBuffer = async (body) => {
-	if (!body) return Buffer.alloc(0);
-	if (Buffer.isBuffer(body)) return body;
-	if (body instanceof Uint8Array) return Buffer.from(body);
-	if (typeof body.arrayBuffer === 'function') {
-		const arrayBuffer = await body.arrayBuffer();
-		return Buffer.from(arrayBuffer);
-	}
-
-	return new Promise((resolve, reject) => {
-		const chunks = [];
-		body.on('data', (chunk) => chunks.push(chunk));
-		body.once('end', () => resolve(Buffer.concat(chunks)));
-		body.once('error', reject);
-	});
-};
-
-const defaultPrompt =
-	`You are analyzing a trading card style toy package. ` +
-	`Return the following fields (use UNKNOWN if you cannot determine them): car_name (vehicle on the card), series (collection name such as "J-IMPORTS"), batch_code (packaging batch like "JBB55-N9COL G1"), and subset_number (e.g. "4/10"). ` +
-	`Also return any supporting text snippets you used in detected_text.`;
-
-const analysisSchema = {
-	type: 'object',
-	required: ['detected_text', 'car_name', 'series', 'batch_code', 'subset_number'],
-	additionalProperties: true,
-	properties: {
-		detected_text: {
-			type: 'array',
-			items: { type: 'string' }
-		},
-		car_name: { type: 'string' },
-		series: { type: 'string' },
-		batch_code: { type: 'string' },
-		subset_number: { type: 'string' }
-	}
-};
+import { config } from '../config.js';
+import { visionProvider } from './vision/index.js';
+import { decodeBarcode, reconcileUpc } from './barcodes.js';
+import {
+	findDuplicateCandidates,
+	imageHash,
+	linkDuplicates,
+	markDuplicates
+} from './duplicates.js';
+import { catalog } from './catalog.js';
+import { writeRecord } from './records.js';
+import { budgetExceededError, usage } from './usage.js';
+import {
+	SCHEMA_VERSION,
+	UNKNOWN_VALUE,
+	createEmptyRecord,
+	deepMerge,
+	ensurePlaceholders
+} from './recordModel.js';
+import {
+	analysisSchema,
+	applyFieldValue,
+	applyOcrFallback,
+	applyRecordAnalysis,
+	buildAnalysisPrompt,
+	isUnset,
+	lockedSuggestions,
+	readFieldAnswer
+} from './recordAnalysis.js';
 
 const parseNumber = (value) => {
 	if (value === undefined || value === null || value === '') return undefined;
@@ -58,506 +36,413 @@ const parseNumber = (value) => {
 	return Number.isFinite(num) ? num : undefined;
 };
 
-const deepMerge = (target, source) => {
-	if (!source) return target;
-	const output = Array.isArray(target) ? [...target] : { ...target };
-	for (const [key, value] of Object.entries(source)) {
-		if (Array.isArray(value)) {
-			output[key] = value;
-		} else if (value && typeof value === 'object') {
-			output[key] = deepMerge(output[key] ?? {}, value);
-		} else {
-			output[key] = value;
+// Barcode decoding runs on the back of the card, where the UPC is printed. A failure
+// here never fails the analysis; the model answer and OCR text are still checked.
+const decodeBackBarcodes = async (images, { scan, emit }) => {
+	const barcodes = [];
+	for (const image of images.filter((entry) => entry.side === 'back')) {
+		emit('analysis.barcode.start', `Decoding barcode on ${image.side}`, { scan, key: image.key });
+		try {
+			const result = await decodeBarcode(image.buffer);
+			if (result) {
+				barcodes.push({ ...result, side: image.side });
+				neonLog('CODE', 'success', `barcode key=${shorten(image.key, 40)} ${result.format}`);
+			}
+			emit('analysis.barcode.done', result ? `Decoded ${result.format} ${result.text}` : 'No barcode found', {
+				scan,
+				key: image.key,
+				barcode: result
+			});
+		} catch (error) {
+			const message = error instanceof Error ? error.message : 'unknown';
+			neonLog('CODE', 'fail', `barcode key=${shorten(image.key, 40)} err=${shorten(message, 28)}`);
+			emit('analysis.barcode.skipped', 'Barcode decoding failed', { scan, key: image.key, reason: message });
 		}
 	}
-	return output;
+	return barcodes;
 };
 
-const createEmptyRecord = (id) => ({
-	id,
-	item: {
-		line: '',
-		series: '',
-		model: '',
-		description: ''
-	},
-	packaging: {
-		global_assortment_number: '',
-		subset_number: '',
-		guarantee_badge: '',
-		card_front_logo: ''
-	},
-	codes: {
-		upc: '',
-		assortment: '',
-		internal_code: '',
-		batch_code: '',
-		country_of_origin: '',
-		region: ''
-	},
-	branding: {
-		brand: '',
-		websites: []
-	},
-	compliance: {
-		age_warning: '',
-		standards: [],
-		recycling: '',
-		warranty: '',
-		warnings: []
-	},
-	vehicle: {
-		make: '',
-		base_model: '',
-		condition: ''
-	},
-	visual: {
-		body_color_primary: {
-			norm: '',
-			raw: '',
-			confidence: 0,
-			source: ''
-		},
-		body_color_secondary: [],
-		graphics: {
-			style: '',
-			text_elements: [],
-			locations: []
-		},
-		wheels: {
-			style: '',
-			rim_color: '',
-			tire_color: '',
-			notes: ''
-		}
-	},
-	inventory: {
-		location: '',
-		status: '',
-		owner: ''
-	},
-	ocr: {
-		raw_text: [],
-		entities: []
-	},
-	media: [],
-	scan: {
-		scan_id: id,
-		request_id: '',
-		scanned_at: ''
-	},
-	extra: {
-		raw_front: {},
-		raw_back: {},
-		raw_other: {}
-	},
-	meta: {
-		schema_version: SCHEMA_VERSION,
-		created_at: '',
-		updated_at: ''
-	}
-});
-
-const ensurePlaceholder = (record, path) => {
-	let cursor = record;
-	for (let i = 0; i < path.length - 1; i += 1) {
-		const segment = path[i];
-		if (!cursor || typeof cursor !== 'object') return;
-		cursor = cursor[segment];
-	}
-	const last = path[path.length - 1];
-	if (cursor && typeof cursor[last] === 'string' && cursor[last].trim() === '') {
-		cursor[last] = UNKNOWN_VALUE;
+const hashImage = async (image) => {
+	try {
+		return await imageHash(image.buffer);
+	} catch (error) {
+		neonLog('DUP', 'fail', `hash key=${shorten(image.key, 40)}`);
+		return null;
 	}
 };
 
-const ensurePlaceholders = (record) => {
-	const placeholderPaths = [
-		['item', 'line'],
-		['item', 'series'],
-		['item', 'model'],
-		['item', 'description'],
-		['packaging', 'global_assortment_number'],
-		['packaging', 'subset_number'],
-		['packaging', 'guarantee_badge'],
-		['packaging', 'card_front_logo'],
-		['codes', 'upc'],
-		['codes', 'assortment'],
-		['codes', 'internal_code'],
-		['codes', 'batch_code'],
-		['codes', 'country_of_origin'],
-		['codes', 'region'],
-		['branding', 'brand'],
-		['compliance', 'age_warning'],
-		['compliance', 'recycling'],
-		['compliance', 'warranty'],
-		['vehicle', 'make'],
-		['vehicle', 'base_model'],
-		['vehicle', 'condition'],
-		['inventory', 'location'],
-		['inventory', 'status'],
-		['scan', 'request_id'],
-		['scan', 'scanned_at']
-	];
-
-	placeholderPaths.forEach((path) => ensurePlaceholder(record, path));
-};
+const sideForCamera = (camera) => ({ 1: 'front', 2: 'back' })[camera] ?? `cam-${camera}`;
 
-export const analyzeAndStore = async (
-	{
-		key,
-		scan,
-		prompt,
-		camera = 1,
-		timestamp,
-		contentType = 'image/png',
-		extra = {},
-		fileName
-	},
-	{ onStatus } = {}
+const rawKeyForCamera = (camera) => (camera === 2 ? 'raw_back' : camera === 1 ? 'raw_front' : 'raw_other');
+
+const fetchImage = async (
+	{ key, camera, timestamp, contentType, fileName, requestId, owner, extra = {} },
+	{ scan, emit }
 ) => {
 	const shortKey = shorten(key, 40);
+	let object;
+	try {
+		emit('analysis.s3.fetch.start', `Fetching ${shorten(key, 48)} from storage`, { scan, key });
+		object = await blobStore.getObject(key);
+		neonLog('BLOB', 'success', `get key=${shortKey}`);
+		emit('analysis.s3.fetch.success', 'Fetched object from storage', { scan, key });
+	} catch (error) {
+		neonLog('BLOB', 'fail', `get key=${shortKey}`);
+		emit('analysis.s3.fetch.error', 'Unable to retrieve stored object', { scan, key, error: error.message ?? String(error) });
+		throw error;
+	}
+
+	const metadata = object.metadata ?? {};
+	const resolvedCamera = camera ?? parseNumber(metadata.camera) ?? 1;
+	const resolvedTimestamp = timestamp ?? parseNumber(metadata.timestamp);
+
+	return {
+		key,
+		extra,
+		metadata,
+		requestId,
+		owner,
+		buffer: object.buffer,
+		camera: resolvedCamera,
+		side: sideForCamera(resolvedCamera),
+		fileName: fileName ?? extra.fileName ?? '',
+		contentType: contentType ?? object.contentType ?? metadata['content-type'] ?? 'image/png',
+		capturedAt: new Date(typeof resolvedTimestamp === 'number' ? resolvedTimestamp : Date.now()).toISOString()
+	};
+};
+
+// Analyzes one or more camera images of the same scan in a single provider call and
+// merges the answer into the scan record. `combined` only changes where the raw
+// answer is kept (`extra.raw_combined` instead of the per-camera slot).
+export const analyzeScan = async ({ scan, images, prompt, combined = images.length > 1 }, { onStatus } = {}) => {
+	const keys = images.map((image) => image.key);
+	const shortKey = shorten(keys.join(','), 40);
 	const shortScan = shorten(scan, 36);
+	const target = combined ? { scan, keys } : { scan, key: keys[0] };
 	const emit = (event, message, data = {}) => {
 		if (typeof onStatus === 'function') {
 			onStatus(event, message, data);
 		}
 	};
 
-	emit('analysis.started', 'Analysis queued', { scan, key, fileName });
+	emit(
+		'analysis.started',
+		combined ? `Analyzing ${images.length} image(s) in one request` : 'Analysis queued',
+		{ ...target, fileName: combined ? undefined : images[0].fileName }
+	);
 
-	let object;
-	try {
-		emit('analysis.s3.fetch.start', `Fetching ${shorten(key, 48)} from S3`, { scan, key });
-		object = await s3Client.send(
-			new GetObjectCommand({
-				Bucket: config.bucket,
-				Key: key
-			})
-		);
-		neonLog('S3', 'success', `get key=${shortKey}`);
-		emit('analysis.s3.fetch.success', 'Fetched object from S3', { scan, key });
-	} catch (error) {
-		neonLog('S3', 'fail', `get key=${shortKey}`);
-		emit('analysis.s3.fetch.error', 'Unable to retrieve S3 object', { scan, key, error: error.message ?? String(error) });
-		throw error;
+	// Checked before any image is fetched or decoded, so an exhausted budget costs nothing.
+	if (visionProvider.billed) {
+		const budget = await usage.check();
+		if (budget.exceeded.length) {
+			const error = budgetExceededError(budget);
+			neonLog('AI', 'fail', `budget scan=${shortScan} ${shorten(error.message, 40)}`);
+			emit(
+				'analysis.budget.exceeded',
+				error.deferUntil ? `${error.message}; analysis waits until the budget resets` : error.message,
+				{ ...target, exceeded: budget.exceeded, resetsAt: new Date(budget.resetsAt).toISOString(), reason: 'budget' }
+			);
+			throw error;
+		}
 	}
 
-	if (!object.Body) {
-		neonLog('S3', 'fail', `body key=${shortKey}`);
-		const error = new Error('Object body not found');
-		error.status = 404;
-		emit('analysis.s3.fetch.error', 'S3 object had no body', { scan, key });
-		throw error;
+	const loaded = [];
+	for (const image of images) {
+		loaded.push(await fetchImage(image, { scan, emit }));
 	}
+	loaded.sort((a, b) => a.camera - b.camera);
 
-	const buffer = await streamToBuffer(object.Body);
-	const imageBase64 = buffer.toString('base64');
-	const metadata = object.Metadata ?? {};
-	const resolvedCamera = camera ?? parseNumber(metadata.camera);
-	const resolvedTimestamp = timestamp ?? parseNumber(metadata.timestamp);
-	const resolvedContentType = contentType ?? object.ContentType ?? metadata['content-type'] ?? 'image/png';
+	const barcodes = config.barcodeDecoding ? await decodeBackBarcodes(loaded, { scan, emit }) : [];
 
-	const userPrompt = prompt ?? defaultPrompt;
+	const userPrompt = prompt ?? buildAnalysisPrompt(loaded.map((image) => image.side));
+	const station = loaded.map((image) => image.owner).find(Boolean) || 'anonymous';
 
 	let response;
 	try {
-		emit('analysis.ai.request', 'Running OpenAI vision analysis', { scan, key });
-		response = await openai.responses.create({
-			model: config.openaiModel,
-			text: {
-				format: {
-					type: 'json_schema',
-					name: 'image_analysis',
-					schema: analysisSchema,
-					strict: false
-				}
-			},
-			input: [
-				{
-					role: 'user',
-					content: [
-						{
-							type: 'input_text',
-							text: userPrompt
-						},
-						{
-							type: 'input_image',
-							image_url: `data:${resolvedContentType};base64,${imageBase64}`,
-							detail: 'auto'
-						}
-					]
-				}
-			]
+		emit('analysis.ai.request', `Running ${visionProvider.label} analysis`, target);
+		response = await visionProvider.analyze({
+			prompt: userPrompt,
+			schema: analysisSchema,
+			images: loaded.map(({ buffer, contentType }) => ({ buffer, contentType }))
 		});
-		emit('analysis.ai.success', 'OpenAI analysis complete', {
-			scan,
-			key,
+		emit('analysis.ai.success', `${visionProvider.label} analysis complete`, {
+			...target,
 			responseId: response.id
 		});
 		neonLog('AI', 'success', `analysis key=${shortKey} id=${shorten(response.id, 18)}`);
+		if (visionProvider.billed) {
+			await usage.record({ station, tokens: response.usage?.totalTokens ?? 0 });
+		}
 	} catch (error) {
 		const message = error instanceof Error ? error.message : 'unknown';
 		neonLog('AI', 'fail', `analysis key=${shortKey} err=${shorten(message, 28)}`);
-		emit('analysis.ai.error', 'OpenAI analysis failed', { scan, key, error: message });
+		// A failed call may still be billed, so it counts as a call.
+		if (visionProvider.billed) {
+			await usage.record({ station, tokens: 0 });
+		}
+		emit('analysis.ai.error', `${visionProvider.label} analysis failed`, { ...target, error: message });
 		throw error;
 	}
 
-	const outputText = response.output_text ?? '';
-	let parsedAnalysis =
-		response.output_parsed ??
-		response.output?.flatMap((item) =>
-			item?.content
-				?.map((content) => {
-					if (content?.parsed) return content.parsed;
-					if (typeof content?.text === 'string') {
-						try {
-							return JSON.parse(content.text);
-						} catch {
-							return null;
-						}
-					}
-					return null;
-				})
-				.filter(Boolean) ?? []
-		)?.[0] ??
-		null;
-
-	if (!parsedAnalysis && outputText) {
-		try {
-			parsedAnalysis = JSON.parse(outputText);
-		} catch (error) {
-			parsedAnalysis = null;
-		}
-	}
+	const outputText = response.outputText;
+	const parsedAnalysis = response.parsed;
 
 	const detectedText = Array.isArray(parsedAnalysis?.detected_text)
 		? parsedAnalysis.detected_text.map((text) => (typeof text === 'string' ? text : '')).filter(Boolean)
 		: [];
 
-	const analysisFields = {
-		carName: parsedAnalysis?.car_name?.trim() || '',
-		series: parsedAnalysis?.series?.trim() || '',
-		batchCode: parsedAnalysis?.batch_code?.trim() || '',
-		subsetNumber: parsedAnalysis?.subset_number?.trim() || '',
-		detectedText
-	};
-
-	let existingRecord = null;
-	try {
-		const existing = await dynamo.send(
-			new GetCommand({
-				TableName: config.dynamoTable,
-				Key: { id: scan }
-			})
-		);
-		existingRecord = existing.Item ?? null;
-	} catch (error) {
-		const message = error instanceof Error ? error.message : 'unknown';
-		neonLog('DB', 'fail', `fetch scan=${shortScan} err=${shorten(message, 28)}`);
-		throw error;
-	}
-
-	let record = createEmptyRecord(scan);
-	if (existingRecord) {
-		record = deepMerge(record, existingRecord);
+	const hashes = new Map();
+	for (const image of loaded) {
+		hashes.set(image.key, await hashImage(image));
 	}
 
 	const nowIso = new Date().toISOString();
-	const additionalText = Array.isArray(parsedAnalysis?.additional_text) ? parsedAnalysis.additional_text : [];
-	const textPool = Array.from(
-		new Set([...(record.ocr?.raw_text ?? []), ...analysisFields.detectedText, ...additionalText])
-	);
-	record.ocr.raw_text = textPool;
-
-	const entityMap = new Map((record.ocr.entities ?? []).map((entity) => [entity.text, entity]));
-	analysisFields.detectedText.forEach((text) => {
-		if (!text || entityMap.has(text)) return;
-		entityMap.set(text, {
-			category: '',
-			text,
-			confidence: null,
-			side: ''
-		});
-	});
-	record.ocr.entities = Array.from(entityMap.values());
-
-	const findTextMatch = (regex) => {
-		for (const text of textPool) {
-			if (!text) continue;
-			const match = text.match(regex);
-			if (match) return match[0];
+	let unmatched = [];
+	let duplicates = [];
+	let skipped = [];
+	let attempts = 0;
+
+	// Merges this answer into the stored record. It runs again on the fresh record
+	// when another write (usually the other camera of the scan) got in first.
+	const buildRecord = async (existingRecord) => {
+		attempts += 1;
+		unmatched = [];
+		if (attempts > 1) {
+			emit('analysis.db.retry', 'Record changed while analyzing; merging again', { ...target, attempt: attempts });
 		}
-		return '';
-	};
+		let record = createEmptyRecord(scan);
+		if (existingRecord) {
+			record = deepMerge(record, existingRecord);
+		}
+		skipped = lockedSuggestions(record, parsedAnalysis);
+
+		const additionalText = Array.isArray(parsedAnalysis?.additional_text) ? parsedAnalysis.additional_text : [];
+		const textPool = Array.from(new Set([...(record.ocr?.raw_text ?? []), ...detectedText, ...additionalText]));
+		record.ocr.raw_text = textPool;
+
+		const entityMap = new Map((record.ocr.entities ?? []).map((entity) => [entity.text, entity]));
+		detectedText.forEach((text) => {
+			if (!text || entityMap.has(text)) return;
+			entityMap.set(text, {
+				category: '',
+				text,
+				confidence: null,
+				side: combined ? '' : loaded[0].side
+			});
+		});
 
-	const findMultipleMatches = (regex) => {
-		const matches = new Set();
-		textPool.forEach((text) => {
-			if (!text) return;
-			const found = text.match(regex);
-			if (found) {
-				found.forEach((entry) => matches.add(entry));
-			}
+		applyRecordAnalysis(record, parsedAnalysis, { model: response.model });
+
+		// Only check-digit-valid codes reach codes.upc; every candidate is kept as an entity.
+		const upc = reconcileUpc({
+			barcodes,
+			answer: readFieldAnswer(parsedAnalysis, 'codes.upc'),
+			ocrLines: detectedText
 		});
-		return Array.from(matches);
-	};
+		upc.candidates.forEach((candidate) => {
+			entityMap.set(candidate.code, {
+				category: 'UPC',
+				text: candidate.code,
+				confidence: candidate.confidence,
+				side: candidate.side ?? '',
+				source: candidate.source,
+				valid: candidate.valid,
+				...(candidate.valid ? { format: candidate.format } : { reason: candidate.reason })
+			});
+		});
+		record.ocr.entities = Array.from(entityMap.values());
+
+		if (upc.best) {
+			applyFieldValue(record, 'codes.upc', upc.best.code, {
+				source: upc.best.source,
+				confidence: upc.best.confidence,
+				model: upc.best.source === 'model' ? response.model : undefined
+			});
+		}
 
-	const subsetMatches = findMultipleMatches(/\b(\d{1,2})\/(\d{1,2})\b/g);
-	const subsetNumber =
-		analysisFields.subsetNumber && analysisFields.subsetNumber !== 'UNKNOWN'
-			? analysisFields.subsetNumber
-			: subsetMatches.find((match) => {
+		// Regex fallbacks over the OCR text for the headline fields the model left empty.
+		const findTextMatch = (regex) => {
+			for (const text of textPool) {
+				if (!text) continue;
+				const match = text.match(regex);
+				if (match) return match[0];
+			}
+			return '';
+		};
+
+		const findMultipleMatches = (regex) => {
+			const matches = new Set();
+			textPool.forEach((text) => {
+				if (!text) return;
+				const found = text.match(regex);
+				if (found) {
+					found.forEach((entry) => matches.add(entry));
+				}
+			});
+			return Array.from(matches);
+		};
+
+		applyOcrFallback(
+			record,
+			'packaging.subset_number',
+			findMultipleMatches(/\b(\d{1,2})\/(\d{1,2})\b/g).find((match) => {
 				const [, denom] = match.split('/');
 				return Number(denom) <= 50;
-			}) ?? '';
-
-	const batchCode =
-		(analysisFields.batchCode && analysisFields.batchCode !== 'UNKNOWN' ? analysisFields.batchCode : '') ||
-		findTextMatch(/[A-Z0-9]{2,}-[A-Z0-9]+(?:\s?[A-Z0-9]+)*/);
-
-	const carName =
-		analysisFields.carName && analysisFields.carName !== 'UNKNOWN' ? analysisFields.carName : '';
+			})
+		);
+		applyOcrFallback(record, 'codes.batch_code', findTextMatch(/[A-Z0-9]{2,}-[A-Z0-9]+(?:\s?[A-Z0-9]+)*/));
+		applyOcrFallback(
+			record,
+			'item.series',
+			textPool.find((text) => /[A-Z]-[A-Z]/.test(text) || text.toUpperCase().includes('IMPORTS'))
+		);
 
-	const series =
-		analysisFields.series && analysisFields.series !== 'UNKNOWN'
-			? analysisFields.series
-			: textPool.find((text) => /[A-Z]-[A-Z]/.test(text) || text.toUpperCase().includes('IMPORTS')) ?? '';
+		try {
+			({ unmatched } = await catalog.normalizeRecord(record));
+		} catch (error) {
+			const message = error instanceof Error ? error.message : 'unknown';
+			neonLog('CATALOG', 'fail', `scan=${shortScan} err=${shorten(message, 28)}`);
+		}
 
-	if (carName && (!record.item.model || record.item.model === UNKNOWN_VALUE)) {
-		record.item.model = carName;
-	}
+		const existingMedia = (record.media ?? []).map((media) =>
+			hashes.get(media.s3_key) ? { ...media, phash: hashes.get(media.s3_key) } : media
+		);
+		const newMedia = loaded
+			.filter((image) => !existingMedia.some((media) => media.s3_key === image.key))
+			.map((image) => ({
+				side: image.side,
+				file_name: image.fileName,
+				s3_key: image.key,
+				content_type: image.contentType,
+				captured_at: image.capturedAt,
+				source_model: response.model,
+				confidence: 0,
+				phash: hashes.get(image.key) ?? ''
+			}));
+		record.media = [...existingMedia, ...newMedia];
+
+		record.scan.scan_id = scan;
+		if (isUnset(record.scan.scanned_at)) {
+			record.scan.scanned_at = loaded.map((image) => image.capturedAt).sort()[0];
+		}
+		// The first scan of a record stamps who did it and which request; re-analysis keeps both.
+		if (isUnset(record.scan.request_id)) {
+			record.scan.request_id =
+				loaded
+					.map(
+						({ requestId, metadata, extra }) =>
+							requestId || metadata['request-id'] || metadata['x-amz-meta-request-id'] || extra.requestId
+					)
+					.find(Boolean) || UNKNOWN_VALUE;
+		}
+		if (isUnset(record.inventory.owner)) {
+			record.inventory.owner =
+				loaded.map(({ owner, metadata }) => owner || metadata.owner || metadata['x-amz-meta-owner']).find(Boolean) ||
+				UNKNOWN_VALUE;
+		}
 
-	if (series && (!record.item.series || record.item.series === UNKNOWN_VALUE)) {
-		record.item.series = series;
-	}
+		record.meta.created_at = record.meta.created_at || nowIso;
+		record.meta.updated_at = nowIso;
+		record.meta.schema_version = SCHEMA_VERSION;
 
-	if (batchCode && (!record.codes.batch_code || record.codes.batch_code === UNKNOWN_VALUE)) {
-		record.codes.batch_code = batchCode;
-	}
+		if (combined) {
+			record.extra.raw_combined = parsedAnalysis ?? {};
+		} else {
+			record.extra[rawKeyForCamera(loaded[0].camera)] = parsedAnalysis ?? {};
+		}
+		record.extra.raw_response = {
+			id: response.id,
+			provider: visionProvider.name,
+			model: response.model,
+			output: parsedAnalysis,
+			raw_text: outputText
+		};
+		const finalUrl = loaded.map((image) => image.extra.finalUrl).filter(Boolean).pop();
+		if (finalUrl) {
+			record.extra.finalUrl = finalUrl;
+		}
 
-	if (subsetNumber && (!record.packaging.subset_number || record.packaging.subset_number === UNKNOWN_VALUE)) {
-		record.packaging.subset_number = subsetNumber;
-	}
+		ensurePlaceholders(record);
 
-	const sideMap = {
-		1: 'front',
-		2: 'back'
-	};
-	const mediaSide = sideMap[resolvedCamera] ?? `cam-${resolvedCamera}`;
-
-	const capturedIso =
-		typeof resolvedTimestamp === 'number'
-			? new Date(resolvedTimestamp).toISOString()
-			: resolvedTimestamp && !Number.isNaN(Number(resolvedTimestamp))
-				? new Date(Number(resolvedTimestamp)).toISOString()
-				: typeof timestamp === 'number'
-					? new Date(timestamp).toISOString()
-					: new Date().toISOString();
-
-	const mediaEntry = {
-		side: mediaSide,
-		file_name: fileName ?? extra?.fileName ?? '',
-		s3_key: key,
-		content_type: resolvedContentType,
-		captured_at: capturedIso,
-		source_model: config.openaiModel,
-		confidence: 0
+		duplicates = [];
+		try {
+			duplicates = await findDuplicateCandidates(record);
+			markDuplicates(record, duplicates);
+		} catch (error) {
+			// Duplicate detection is advisory: a failure is logged and the analysis still saves.
+			const message = error instanceof Error ? error.message : 'unknown';
+			neonLog('DUP', 'fail', `scan=${shortScan} err=${shorten(message, 28)}`);
+		}
+		return record;
 	};
 
-	const existingMedia = record.media ?? [];
-	if (!existingMedia.some((media) => media.s3_key === key)) {
-		record.media = [...existingMedia, mediaEntry];
-	}
-
-	record.scan.scan_id = scan;
-	if (!record.scan.scanned_at || record.scan.scanned_at === UNKNOWN_VALUE) {
-		record.scan.scanned_at = capturedIso;
-	}
-	if (!record.scan.request_id || record.scan.request_id === UNKNOWN_VALUE) {
-		record.scan.request_id =
-			metadata['request-id'] ||
-			metadata['x-amz-meta-request-id'] ||
-			extra?.requestId ||
-			UNKNOWN_VALUE;
+	let saved;
+	try {
+		emit('analysis.db.write', 'Saving analysis record', target);
+		saved = await writeRecord(scan, buildRecord, {
+			action: 'analysis',
+			identity: station === 'anonymous' ? null : { uid: station, name: station },
+			requestId: loaded.map((image) => image.requestId).find(Boolean) ?? null,
+			details: { model: response.model }
+		});
+		emit('analysis.db.success', 'Analysis record saved', target);
+		neonLog('DB', 'success', `put scan=${shortScan} key=${shortKey}`);
+	} catch (error) {
+		const message = error instanceof Error ? error.message : 'unknown';
+		neonLog('DB', 'fail', `put scan=${shortScan} err=${shorten(message, 28)}`);
+		emit('analysis.db.error', 'Failed to save analysis record', { ...target, error: message });
+		throw error;
 	}
 
-	record.meta.created_at = record.meta.created_at || nowIso;
-	record.meta.updated_at = nowIso;
-	record.meta.schema_version = SCHEMA_VERSION;
-
-	const rawTargetKey = resolvedCamera === 2 ? 'raw_back' : resolvedCamera === 1 ? 'raw_front' : 'raw_other';
-	if (!record.extra[rawTargetKey] || typeof record.extra[rawTargetKey] !== 'object') {
-		record.extra[rawTargetKey] = {};
-	}
-	record.extra[rawTargetKey] = parsedAnalysis ?? {};
-	record.extra.raw_response = {
-		id: response.id,
-		model: config.openaiModel,
-		output: parsedAnalysis,
-		raw_text: outputText
-	};
-	if (extra?.finalUrl) {
-		record.extra.finalUrl = extra.finalUrl;
+	if (skipped.length) {
+		neonLog('LOCK', 'success', `scan=${shortScan} kept=${skipped.map((entry) => entry.path).join(',')}`);
+		emit(
+			'analysis.fields.locked',
+			`Kept locked ${skipped.map((entry) => entry.path).join(', ')}; model suggestions skipped`,
+			{ ...target, skipped }
+		);
 	}
 
-	const obsoleteTopLevelKeys = [
-		'analysis',
-		'analysisSummary',
-		'detectedText',
-		'dominantColors',
-		'objects',
-		'vehicleInsights',
-		'warnings',
-		'environment',
-		'raw',
-		'camera',
-		'capturedAt',
-		'contentType',
-		's3Key',
-		'scanId',
-		'responseId',
-		'updatedAt',
-		'model',
-		'extraMetadata',
-		's3Metadata'
-	];
-	obsoleteTopLevelKeys.forEach((keyName) => {
-		if (keyName in record) {
-			delete record[keyName];
+	if (unmatched.length) {
+		// Only values of a record that was actually saved are queued for review.
+		try {
+			await catalog.addToReview(unmatched, { scan });
+		} catch (error) {
+			const message = error instanceof Error ? error.message : 'unknown';
+			neonLog('CATALOG', 'fail', `review scan=${shortScan} err=${shorten(message, 28)}`);
 		}
-	});
-
-	ensurePlaceholders(record);
+		emit(
+			'analysis.catalog.unmatched',
+			`Not in catalog: ${unmatched.map((item) => `${item.field} "${item.value}"`).join(', ')}`,
+			{ ...target, unmatched }
+		);
+	}
 
-	try {
-		emit('analysis.db.write', 'Saving analysis to DynamoDB', { scan, key });
-		await dynamo.send(
-			new PutCommand({
-				TableName: config.dynamoTable,
-				Item: record
-			})
+	if (duplicates.length) {
+		await linkDuplicates(saved, duplicates);
+		neonLog('DUP', 'success', `scan=${shortScan} candidates=${duplicates.length}`);
+		emit(
+			'analysis.duplicate.suspected',
+			`Possible duplicate of ${duplicates.map((candidate) => candidate.id).join(', ')}`,
+			{ ...target, candidates: duplicates }
 		);
-		emit('analysis.db.success', 'Analysis record saved', { scan, key });
-		neonLog('DB', 'success', `put scan=${shortScan} key=${shortKey}`);
-	} catch (error) {
-		const message = error instanceof Error ? error.message : 'unknown';
-		neonLog('DB', 'fail', `put scan=${shortScan} err=${shorten(message, 28)}`);
-		emit('analysis.db.error', 'Failed to save analysis record', { scan, key, error: message });
-		throw error;
 	}
 
-	emit('analysis.completed', 'Analysis complete', { scan, key });
+	emit('analysis.completed', 'Analysis complete', target);
 
 	return {
 		id: scan,
-		key,
+		key: keys[0],
+		keys,
 		scan,
-		model: config.openaiModel,
+		model: response.model,
 		responseId: response.id,
-		record,
+		record: saved,
 		analysis: parsedAnalysis,
 		raw: outputText,
 		storedAt: nowIso
 	};
 };
+
+export const analyzeAndStore = ({ scan, prompt, ...image }, options) =>
+	analyzeScan({ scan, prompt, images: [image] }, options);
@@ -0,0 +1,149 @@
+import sharp from 'sharp';
+import {
+	BarcodeFormat,
+	BinaryBitmap,
+	DecodeHintType,
+	HybridBinarizer,
+	MultiFormatOneDReader,
+	RGBLuminanceSource
+} from '@zxing/library';
+
+const RETAIL_FORMATS = [BarcodeFormat.UPC_A, BarcodeFormat.EAN_13, BarcodeFormat.UPC_E, BarcodeFormat.EAN_8];
+
+// Long sides are scaled down to this before decoding; 1D readers scan rows, so more
+// pixels mostly cost time.
+const MAX_DECODE_WIDTH = 1600;
+
+const createReader = () => {
+	const hints = new Map();
+	hints.set(DecodeHintType.POSSIBLE_FORMATS, RETAIL_FORMATS);
+	hints.set(DecodeHintType.TRY_HARDER, true);
+	return { reader: new MultiFormatOneDReader(hints), hints };
+};
+
+const checkDigit = (body) => {
+	const sum = body
+		.split('')
+		.reverse()
+		.reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+	return (10 - (sum % 10)) % 10;
+};
+
+// Expands a zero-suppressed UPC-E code (number system, six digits, check digit) to
+// the UPC-A code it stands for. The check digit is the UPC-A one. Returns null for
+// anything else, including UPC-E codes whose number system is not 0 or 1.
+export const expandUpcE = (input) => {
+	const code = String(input ?? '').replace(/[\s-]/g, '');
+	if (!/^[01]\d{7}$/.test(code)) return null;
+	const [system, d1, d2, d3, d4, d5, d6, check] = code;
+	const body = {
+		0: `${d1}${d2}${d6}0000${d3}${d4}${d5}`,
+		1: `${d1}${d2}${d6}0000${d3}${d4}${d5}`,
+		2: `${d1}${d2}${d6}0000${d3}${d4}${d5}`,
+		3: `${d1}${d2}${d3}00000${d4}${d5}`,
+		4: `${d1}${d2}${d3}${d4}00000${d5}`
+	}[d6] ?? `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+	return `${system}${body}${check}`;
+};
+
+const FORMAT_NAMES = { 8: 'EAN-8', 12: 'UPC-A', 13: 'EAN-13' };
+
+// Validates an EAN-8 (8 digits), UPC-A (12 digits) or EAN-13 (13 digits) code.
+// EAN-13 codes with a leading zero are UPC-A codes and are returned in their 12 digit
+// form, the form supplier manifests use. An 8 digit code is read as EAN-8 unless
+// `format` says it was decoded as UPC-E, which is expanded to UPC-A first.
+export const validateGtin = (input, { format } = {}) => {
+	let code = String(input ?? '').replace(/[\s-]/g, '');
+	if (!/^\d+$/.test(code)) {
+		return { valid: false, code, reason: 'not numeric' };
+	}
+	if (format === 'UPC_E') {
+		const expanded = expandUpcE(code);
+		if (!expanded) {
+			return { valid: false, code, reason: 'not a UPC-E code' };
+		}
+		code = expanded;
+	}
+	if (!FORMAT_NAMES[code.length]) {
+		return { valid: false, code, reason: `expected 8, 12 or 13 digits, got ${code.length}` };
+	}
+	const expected = checkDigit(code.slice(0, -1));
+	if (expected !== Number(code.at(-1))) {
+		return { valid: false, code, reason: `check digit should be ${expected}` };
+	}
+	const normalized = code.length === 13 && code.startsWith('0') ? code.slice(1) : code;
+	return { valid: true, code: normalized, format: FORMAT_NAMES[normalized.length] };
+};
+
+// Digit runs in OCR text that look like a printed UPC/EAN ("1 94735 25692 1").
+export const findGtinCandidates = (lines) => {
+	const candidates = new Set();
+	lines.forEach((line) => {
+		(line.match(/\d[\d\s-]{10,18}\d/g) ?? []).forEach((match) => {
+			const digits = match.replace(/[\s-]/g, '');
+			if (digits.length === 12 || digits.length === 13) {
+				candidates.add(digits);
+			}
+		});
+	});
+	return Array.from(candidates);
+};
+
+const decodeRaster = (data, width, height) => {
+	const { reader, hints } = createReader();
+	const source = new RGBLuminanceSource(new Uint8ClampedArray(data), width, height);
+	try {
+		const result = reader.decode(new BinaryBitmap(new HybridBinarizer(source)), hints);
+		return { text: result.getText(), format: BarcodeFormat[result.getBarcodeFormat()] };
+	} catch {
+		return null;
+	}
+};
+
+// Decodes a retail 1D barcode from an image buffer. Tries the image as captured and
+// rotated by 90 degrees, since cards are often photographed sideways.
+export const decodeBarcode = async (buffer) => {
+	for (const angle of [0, 90]) {
+		const { data, info } = await sharp(buffer)
+			.rotate(angle)
+			.resize({ width: MAX_DECODE_WIDTH, withoutEnlargement: true })
+			.flatten({ background: '#ffffff' })
+			.toColourspace('b-w')
+			.raw()
+			.toBuffer({ resolveWithObject: true });
+		const result = decodeRaster(data, info.width, info.height);
+		if (result) return result;
+	}
+	return null;
+};
+
+// Collects UPC candidates from decoded barcodes, the model answer and OCR digit runs,
+// validates each one, and picks the most trustworthy valid code. Every candidate is
+// returned so invalid ones can be flagged on the record.
+export const reconcileUpc = ({ barcodes = [], answer, ocrLines = [] }) => {
+	const candidates = [
+		...barcodes.map((barcode) => ({
+			code: barcode.text,
+			source: 'barcode',
+			confidence: 1,
+			side: barcode.side,
+			barcodeFormat: barcode.format
+		})),
+		...(answer?.value ? [{ code: answer.value, source: 'model', confidence: answer.confidence }] : []),
+		...findGtinCandidates(ocrLines).map((code) => ({ code, source: 'ocr_regex', confidence: 0.5 }))
+	];
+
+	const seen = new Set();
+	const checked = candidates
+		.map(({ barcodeFormat, ...candidate }) => ({
+			...candidate,
+			...validateGtin(candidate.code, { format: barcodeFormat })
+		}))
+		.filter((candidate) => {
+			if (seen.has(candidate.code)) return false;
+			seen.add(candidate.code);
+			return true;
+		});
+
+	return { best: checked.find((candidate) => candidate.valid) ?? null, candidates: checked };
+};
@@ -0,0 +1,305 @@
+import crypto from 'node:crypto';
+
+import { config } from '../config.js';
+import { createJsonFile } from '../storage/jsonFile.js';
+import { neonLog, shorten } from '../logger.js';
+import { catalogEntrySchema } from '../validators.js';
+import { parseCsv } from './csv.js';
+import { UNKNOWN_VALUE } from './recordModel.js';
+import { SOURCES, isLocked, setProvenance } from './recordAnalysis.js';
+
+const MAX_REVIEW_SCANS = 20;
+
+// "J-IMPORTS", "J Imports" and "jimports" all normalize to "JIMPORTS".
+export const normalizeName = (value) =>
+	String(value ?? '')
+		.toUpperCase()
+		.replace(/[^A-Z0-9]/g, '');
+
+const levenshtein = (a, b) => {
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+	for (let i = 1; i <= a.length; i += 1) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j += 1) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+		}
+		previous = current;
+	}
+	return previous[b.length];
+};
+
+const similarity = (a, b) => {
+	if (!a || !b) return 0;
+	if (a === b) return 1;
+	return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+const entryId = ({ series, model }) => `${normalizeName(series)}:${normalizeName(model)}`;
+
+const isKnown = (value) => Boolean(value) && value !== UNKNOWN_VALUE;
+
+// Accepts the JSON import body ({ entries } or a bare array) or CSV with the columns
+// line, series, model, subset_number, aliases (aliases separated by "|").
+export const parseCatalogImport = (body) => {
+	const rows = typeof body === 'string' ? parseCsv(body) : Array.isArray(body) ? body : (body?.entries ?? []);
+	return rows.map((row) => catalogEntrySchema.parse(row));
+};
+
+// Local reference catalog of lines, series and models. Entries are keyed by series +
+// model, so re-importing a file updates rows instead of duplicating them. Each row
+// either describes a whole series (empty `model`) or one model within it.
+export const createCatalog = ({ filePath, threshold = 0.8 }) => {
+	const file = createJsonFile(filePath, () => ({ entries: [], review: [] }));
+	let statePromise = null;
+
+	const load = () => {
+		if (!statePromise) {
+			statePromise = file.load().then((stored) => ({ entries: [], review: [], ...stored }));
+			statePromise.catch(() => {
+				statePromise = null;
+			});
+		}
+		return statePromise;
+	};
+
+	const persist = (state) => file.save(state);
+
+	const importEntries = async (entries, { replace = false } = {}) => {
+		const state = await load();
+		const byId = new Map(replace ? [] : state.entries.map((entry) => [entry.id, entry]));
+		let added = 0;
+		let updated = 0;
+		entries.forEach((entry) => {
+			const id = entryId(entry);
+			const existing = byId.get(id);
+			if (existing) updated += 1;
+			else added += 1;
+			byId.set(id, {
+				...existing,
+				...entry,
+				id,
+				aliases: Array.from(new Set([...(existing?.aliases ?? []), ...entry.aliases]))
+			});
+		});
+		state.entries = Array.from(byId.values()).sort((a, b) => a.id.localeCompare(b.id));
+		await persist(state);
+		neonLog('CATALOG', 'success', `import added=${added} updated=${updated} total=${state.entries.length}`);
+		return { added, updated, total: state.entries.length };
+	};
+
+	const bestMatch = (value, candidates) => {
+		const needle = normalizeName(value);
+		let best = null;
+		candidates.forEach(({ entry, names }) => {
+			names.forEach((name) => {
+				const score = similarity(needle, normalizeName(name));
+				if (score >= threshold && (!best || score > best.score)) {
+					best = { entry, score };
+				}
+			});
+		});
+		return best;
+	};
+
+	const matchSeries = (entries, value) => {
+		const seriesRows = new Map();
+		entries.forEach((entry) => {
+			const row = seriesRows.get(normalizeName(entry.series)) ?? { entry, names: new Set([entry.series]) };
+			if (!entry.model) {
+				row.entry = entry;
+				entry.aliases.forEach((alias) => row.names.add(alias));
+			}
+			seriesRows.set(normalizeName(entry.series), row);
+		});
+		const match = bestMatch(value, Array.from(seriesRows.values()));
+		return match && { ...match, canonical: match.entry.series };
+	};
+
+	const matchModel = (entries, value, series) => {
+		const candidates = entries
+			.filter((entry) => entry.model && (!series || entry.series === series))
+			.map((entry) => ({ entry, names: [entry.model, ...entry.aliases] }));
+		const match = bestMatch(value, candidates);
+		return match && { ...match, canonical: match.entry.model };
+	};
+
+	// Counts each scan once: a record write retried after a version conflict, or a
+	// re-analysis of the same scan, neither counts again nor reopens a dismissed item.
+	const addReview = (state, { field, value, scan }) => {
+		const id = crypto.createHash('sha1').update(`${field}:${normalizeName(value)}`).digest('hex').slice(0, 12);
+		const now = new Date().toISOString();
+		const existing = state.review.find((item) => item.id === id);
+		if (existing) {
+			if (existing.scans.includes(scan)) return;
+			existing.count += 1;
+			existing.last_seen = now;
+			existing.scans = Array.from(new Set([...existing.scans, scan])).slice(-MAX_REVIEW_SCANS);
+			if (existing.status !== 'open') existing.status = 'open';
+			return;
+		}
+		state.review.push({
+			id,
+			field,
+			value,
+			scans: [scan],
+			count: 1,
+			status: 'open',
+			first_seen: now,
+			last_seen: now
+		});
+	};
+
+	// Replaces item.series / item.model with their canonical catalog names, keeping the
+	// raw value and match score in `record.catalog`. Locked values are matched but
+	// never rewritten; rewritten values are attributed to the catalog. Only changes
+	// `record`: values without a match are returned for `addToReview` once the record
+	// has been saved.
+	const normalizeRecord = async (record) => {
+		const state = await load();
+		if (!state.entries.length) return { matched: [], unmatched: [] };
+
+		record.catalog = record.catalog ?? {};
+		const matched = [];
+		const unmatched = [];
+
+		const apply = (field, path, match, raw) => {
+			if (!match) {
+				unmatched.push({ field, value: raw });
+				record.catalog[field] = { raw, canonical: '', score: 0 };
+				return;
+			}
+			matched.push({ field, value: raw, canonical: match.canonical, score: match.score });
+			record.catalog[field] = {
+				raw,
+				canonical: match.canonical,
+				score: Number(match.score.toFixed(3)),
+				entry: match.entry.id
+			};
+			const [group, key] = path.split('.');
+			if (!isLocked(record, path) && record[group][key] !== match.canonical) {
+				record[group][key] = match.canonical;
+				// As sure as the reading it replaces, so a more confident answer can still win.
+				const reading = record.provenance?.[path]?.confidence ?? 1;
+				setProvenance(record, path, { source: SOURCES.catalog, confidence: Math.min(reading, match.score) });
+			}
+		};
+
+		const rawValue = (field, current) =>
+			record.catalog[field]?.canonical === current && record.catalog[field]?.raw
+				? record.catalog[field].raw
+				: current;
+
+		let series = null;
+		if (isKnown(record.item.series)) {
+			const raw = rawValue('series', record.item.series);
+			series = matchSeries(state.entries, raw);
+			apply('series', 'item.series', series, raw);
+		}
+
+		if (isKnown(record.item.model)) {
+			const raw = rawValue('model', record.item.model);
+			const model = matchModel(state.entries, raw, series?.canonical) ?? matchModel(state.entries, raw);
+			apply('model', 'item.model', model, raw);
+			if (model) {
+				if (!isKnown(record.item.line) && !isLocked(record, 'item.line') && model.entry.line) {
+					record.item.line = model.entry.line;
+					setProvenance(record, 'item.line', { source: SOURCES.catalog, confidence: model.score });
+				}
+				if (
+					!isKnown(record.packaging.subset_number) &&
+					!isLocked(record, 'packaging.subset_number') &&
+					model.entry.subset_number
+				) {
+					record.packaging.subset_number = model.entry.subset_number;
+					setProvenance(record, 'packaging.subset_number', {
+						source: SOURCES.catalog,
+						confidence: model.score
+					});
+				}
+			}
+		}
+
+		return { matched, unmatched };
+	};
+
+	// Puts the `unmatched` values of a saved scan on the review list.
+	const addToReview = async (unmatched, { scan }) => {
+		if (!unmatched.length) return;
+		const state = await load();
+		unmatched.forEach(({ field, value }) => addReview(state, { field, value, scan }));
+		await persist(state);
+		const fields = unmatched.map((item) => item.field).join(',');
+		neonLog('CATALOG', 'fail', `unmatched scan=${shorten(scan, 24)} fields=${fields}`);
+	};
+
+	const listReview = async ({ status } = {}) => {
+		const state = await load();
+		return state.review.filter((item) => !status || item.status === status);
+	};
+
+	const updateReview = async (id, update) => {
+		const state = await load();
+		const item = state.review.find((entry) => entry.id === id);
+		if (!item) return null;
+		const result = update(state, item);
+		if (result === null) return null;
+		item.resolved_at = new Date().toISOString();
+		await persist(state);
+		return item;
+	};
+
+	// Resolving adds the reviewed value as an alias of the named catalog entry, so the
+	// next scan with the same spelling matches.
+	const resolveReview = (id, { canonical, series }) =>
+		updateReview(id, (state, item) => {
+			let entry = state.entries.find((candidate) =>
+				item.field === 'series'
+					? !candidate.model && candidate.series === canonical
+					: candidate.model === canonical && (!series || candidate.series === series)
+			);
+			// Series aliases live on a series-only row; create one for catalogs that only list models.
+			const seriesMember = state.entries.find((candidate) => candidate.series === canonical);
+			if (!entry && item.field === 'series' && seriesMember) {
+				entry = {
+					id: entryId({ series: canonical }),
+					line: seriesMember.line,
+					series: canonical,
+					model: '',
+					subset_number: '',
+					aliases: []
+				};
+				state.entries.push(entry);
+			}
+			if (!entry) return null;
+			entry.aliases = Array.from(new Set([...entry.aliases, item.value]));
+			item.status = 'resolved';
+			item.canonical = canonical;
+			return item;
+		});
+
+	const dismissReview = (id) =>
+		updateReview(id, (state, item) => {
+			item.status = 'dismissed';
+			return item;
+		});
+
+	return {
+		load,
+		list: async () => (await load()).entries,
+		importEntries,
+		normalizeRecord,
+		addToReview,
+		listReview,
+		resolveReview,
+		dismissReview
+	};
+};
+
+export const catalog = createCatalog({
+	filePath: config.catalogFile,
+	threshold: config.catalogMatchThreshold
+});
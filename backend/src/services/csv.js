@@ -0,0 +1,61 @@
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF line endings.
+export const parseCsvRows = (text) => {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	for (let index = 0; index < text.length; index += 1) {
+		const char = text[index];
+		if (quoted) {
+			if (char === '"' && text[index + 1] === '"') {
+				field += '"';
+				index += 1;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+			continue;
+		}
+		if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[index + 1] === '\n') index += 1;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	if (field !== '' || row.length) {
+		row.push(field);
+		rows.push(row);
+	}
+	return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+// Parses CSV with a header row into objects keyed by the trimmed header names.
+export const parseCsv = (text) => {
+	const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+	const keys = header.map((name) => name.trim());
+	return rows.map((cells) => Object.fromEntries(keys.map((key, index) => [key, (cells[index] ?? '').trim()])));
+};
+
+const escapeCell = (value) => {
+	const text = value === null || value === undefined ? '' : String(value);
+	return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Spreadsheet apps run CSV cells that start with these characters as formulas, and
+// OCR and model text comes from whatever is printed on the package.
+export const neutralizeFormula = (value) =>
+	typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+// Writes rows of cells as RFC 4180 CSV with CRLF line endings, the inverse of parseCsvRows.
+export const formatCsv = (rows) => rows.map((cells) => cells.map(escapeCell).join(',')).join('\r\n') + '\r\n';
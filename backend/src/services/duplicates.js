@@ -0,0 +1,122 @@
+import sharp from 'sharp';
+
+import { config } from '../config.js';
+import { recordStore } from '../storage/index.js';
+import { duplicateKey, seriesKey } from '../storage/duplicateKey.js';
+import { writeRecord } from './records.js';
+import { neonLog, shorten } from '../logger.js';
+
+const EMPTY_HASH = '0000000000000000';
+
+// 64 bit difference hash: shrink to 9x8 greys and compare each pixel with its right
+// neighbour. Re-encoded or slightly re-framed photos of one card stay a few bits apart.
+export const imageHash = async (buffer) => {
+	const { data } = await sharp(buffer)
+		.flatten({ background: '#ffffff' })
+		.toColourspace('b-w')
+		.resize(9, 8, { fit: 'fill' })
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+	let bits = 0n;
+	for (let row = 0; row < 8; row += 1) {
+		for (let col = 0; col < 8; col += 1) {
+			bits = (bits << 1n) | (data[row * 9 + col] > data[row * 9 + col + 1] ? 1n : 0n);
+		}
+	}
+	return bits.toString(16).padStart(16, '0');
+};
+
+export const hashDistance = (a, b) => {
+	let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+	let count = 0;
+	while (diff) {
+		count += Number(diff & 1n);
+		diff >>= 1n;
+	}
+	return count;
+};
+
+const usableHash = (hash) => Boolean(hash) && hash !== EMPTY_HASH;
+
+const closestImage = (images, candidate) => {
+	let best = null;
+	images.forEach((media) => {
+		if (!usableHash(media.phash)) return;
+		(candidate.media ?? []).forEach((other) => {
+			if (!usableHash(other.phash) || other.side !== media.side) return;
+			const distance = hashDistance(media.phash, other.phash);
+			if (best === null || distance < best) best = distance;
+		});
+	});
+	return best;
+};
+
+// A candidate matches on the same UPC + batch code + subset number, or has a same-side
+// image whose hash is within DUPLICATE_HASH_DISTANCE bits of one of the record's. Both
+// are looked up through store indexes: hashes cannot be looked up by distance, so image
+// hashes are only compared with the records of the same series.
+export const findDuplicateCandidates = async (record) => {
+	const candidates = new Map();
+	const media = record.media ?? [];
+	const codesKey = duplicateKey(record);
+	const sameCodes = codesKey ? await recordStore.findByDuplicateKey(codesKey) : [];
+	sameCodes.forEach((other) => {
+		if (other.id === record.id) return;
+		const distance = closestImage(media, other);
+		const imageMatch = distance !== null && distance <= config.duplicateHashDistance;
+		candidates.set(other.id, {
+			id: other.id,
+			reasons: imageMatch ? ['upc_batch_subset', 'image_hash'] : ['upc_batch_subset'],
+			...(distance !== null ? { distance } : {})
+		});
+	});
+
+	const series = seriesKey(record);
+	if (config.duplicateHashDistance < 0 || !series || !media.some((image) => usableHash(image.phash))) {
+		return Array.from(candidates.values());
+	}
+	const sameSeries = await recordStore.findBySeriesKey(series);
+	sameSeries.forEach((other) => {
+		if (other.id === record.id || candidates.has(other.id)) return;
+		const distance = closestImage(media, other);
+		if (distance !== null && distance <= config.duplicateHashDistance) {
+			candidates.set(other.id, { id: other.id, reasons: ['image_hash'], distance });
+		}
+	});
+	return Array.from(candidates.values());
+};
+
+const mergeLink = (record, link) => {
+	const links = (record.duplicates ?? []).filter((entry) => entry.id !== link.id);
+	record.duplicates = [...links, link];
+};
+
+// Records the suspected links on `record` itself; it is saved by the caller.
+export const markDuplicates = (record, candidates) => {
+	const detectedAt = new Date().toISOString();
+	candidates.forEach((candidate) => mergeLink(record, { ...candidate, detected_at: detectedAt }));
+	return record;
+};
+
+// Records the link back to `record` on each stored candidate.
+export const linkDuplicates = async (record, candidates) => {
+	const detectedAt = new Date().toISOString();
+	for (const candidate of candidates) {
+		try {
+			await writeRecord(
+				candidate.id,
+				(previous) => {
+					if (!previous) return null;
+					const other = structuredClone(previous);
+					mergeLink(other, { ...candidate, id: record.id, detected_at: detectedAt });
+					return other;
+				},
+				{ action: 'duplicate_link', details: { duplicate_of: record.id } }
+			);
+		} catch (error) {
+			const message = error instanceof Error ? error.message : 'unknown';
+			neonLog('DUP', 'fail', `link ${shorten(record.id, 24)}->${shorten(candidate.id, 24)} err=${shorten(message, 28)}`);
+		}
+	}
+	return record;
+};
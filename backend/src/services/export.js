@@ -0,0 +1,102 @@
+import { config } from '../config.js';
+import { neonLog } from '../logger.js';
+import { blobStore } from '../storage/index.js';
+import { formatCsv, neutralizeFormula } from './csv.js';
+import { createEmptyRecord } from './recordModel.js';
+import { listRecords } from './records.js';
+import { formatXlsx } from './xlsx.js';
+
+const EXPORT_GROUPS = [
+	'item',
+	'packaging',
+	'codes',
+	'branding',
+	'compliance',
+	'vehicle',
+	'visual',
+	'inventory',
+	'scan'
+];
+
+const leafPaths = (value, prefix) =>
+	value && typeof value === 'object' && !Array.isArray(value)
+		? Object.entries(value).flatMap(([key, child]) => leafPaths(child, `${prefix}.${key}`))
+		: [prefix];
+
+// Image columns resolve media `s3_key`s to URLs: the first front and back image, or
+// every image separated by " | ".
+const MEDIA_COLUMNS = ['image_front', 'image_back', 'images'];
+
+// Every exportable column, in the canonical record order.
+export const EXPORT_COLUMNS = [
+	'id',
+	...EXPORT_GROUPS.flatMap((group) => leafPaths(createEmptyRecord('')[group], group)),
+	'meta.created_at',
+	'meta.updated_at',
+	...MEDIA_COLUMNS
+];
+
+export const DEFAULT_EXPORT_COLUMNS = [
+	'id',
+	...EXPORT_COLUMNS.filter((column) => /^(item|codes|packaging|inventory)\./.test(column)),
+	'scan.scanned_at',
+	...MEDIA_COLUMNS
+];
+
+export const EXPORT_FORMATS = {
+	csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+	xlsx: {
+		contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+		extension: 'xlsx'
+	}
+};
+
+const PAGE_SIZE = 200;
+
+const getPath = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+// `{ side, url }` for each stored image; `signed` links expire after EXPORT_URL_TTL. The
+// local fs store has no public URLs, so its links are always signed.
+export const resolveMediaUrls = async (record, mode) => {
+	const resolve = (key) =>
+		mode === 'signed' || blobStore.name === 'fs'
+			? blobStore.getSignedUrl(key, config.exportUrlTtl)
+			: blobStore.getUrl(key);
+	return Promise.all(
+		(record.media ?? [])
+			.filter((media) => media.s3_key)
+			.map(async (media) => ({ side: media.side, url: await resolve(media.s3_key) }))
+	);
+};
+
+const cellValue = (record, column, urls) => {
+	if (column === 'images') return urls.map((media) => media.url).join(' | ');
+	if (column === 'image_front' || column === 'image_back') {
+		return urls.find((media) => media.side === column.slice('image_'.length))?.url ?? '';
+	}
+	const value = getPath(record, column);
+	return Array.isArray(value) ? value.join('; ') : (value ?? '');
+};
+
+// Flattens the records matching the listing filters into rows of `columns`, in that
+// order, and renders them as CSV or XLSX.
+export const exportRecords = async ({ format, columns, mediaUrls: mode, ...filters }) => {
+	const rows = [columns];
+	const needsUrls = columns.some((column) => MEDIA_COLUMNS.includes(column));
+	let cursor;
+	do {
+		const page = await listRecords({ ...filters, limit: PAGE_SIZE, cursor });
+		for (const record of page.items) {
+			const urls = needsUrls ? await resolveMediaUrls(record, mode) : [];
+			rows.push(columns.map((column) => cellValue(record, column, urls)));
+		}
+		cursor = page.nextCursor ?? undefined;
+	} while (cursor);
+
+	neonLog('EXPORT', 'success', `${format} rows=${rows.length - 1} columns=${columns.length}`);
+	const body =
+		format === 'xlsx'
+			? formatXlsx(rows, { sheetName: 'Inventory' })
+			: `\uFEFF${formatCsv(rows.map((cells) => cells.map(neutralizeFormula)))}`;
+	return { body, ...EXPORT_FORMATS[format] };
+};
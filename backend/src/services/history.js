@@ -0,0 +1,104 @@
+import { isDeepStrictEqual } from 'node:util';
+
+// The id never changes, and bookkeeping and raw model output change on every write;
+// none of them are part of the audited record.
+const IGNORED_GROUPS = new Set(['id', 'meta', 'extra']);
+
+// Provenance and lock entries are keyed by a dotted field path, so each entry is
+// diffed as a whole under "<group>.<field path>".
+const PATH_KEYED_GROUPS = new Set(['provenance', 'locks']);
+
+const pathKeyedGroup = (path) => {
+	const group = path.split('.')[0];
+	return PATH_KEYED_GROUPS.has(group) ? group : null;
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const diffValue = (path, before, after, changes) => {
+	if (isDeepStrictEqual(before, after)) return;
+	// A group that is new or gone is still listed field by field.
+	const nested = (value) => isPlainObject(value) || value === undefined || value === null;
+	if (!PATH_KEYED_GROUPS.has(path) && nested(before) && nested(after)) {
+		const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+		keys.forEach((key) => diffValue(path ? `${path}.${key}` : key, before?.[key], after?.[key], changes));
+		return;
+	}
+	if (PATH_KEYED_GROUPS.has(path)) {
+		const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+		keys.forEach((key) => {
+			if (!isDeepStrictEqual(before?.[key], after?.[key])) {
+				changes.push({ path: `${path}.${key}`, old: before?.[key] ?? null, new: after?.[key] ?? null });
+			}
+		});
+		return;
+	}
+	changes.push({ path, old: before ?? null, new: after ?? null });
+};
+
+// Leaf-level changes between two versions of a record. Arrays (media, lists, OCR
+// text) are compared as whole values.
+export const diffRecords = (before, after) => {
+	const changes = [];
+	const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+	keys.forEach((key) => {
+		if (IGNORED_GROUPS.has(key)) return;
+		diffValue(key, before?.[key], after?.[key], changes);
+	});
+	return changes;
+};
+
+const setValue = (record, path, value) => {
+	const group = pathKeyedGroup(path);
+	if (group) {
+		record[group] = record[group] ?? {};
+		const key = path.slice(group.length + 1);
+		if (value === null) delete record[group][key];
+		else record[group][key] = value;
+		return;
+	}
+	const segments = path.split('.');
+	let cursor = record;
+	segments.slice(0, -1).forEach((segment) => {
+		if (!isPlainObject(cursor[segment])) cursor[segment] = {};
+		cursor = cursor[segment];
+	});
+	const last = segments[segments.length - 1];
+	if (value === null) delete cursor[last];
+	else cursor[last] = value;
+};
+
+// Rolls `record` back through `entries` (newest first) by restoring each change's
+// old value, giving the record as it was before the oldest of them.
+// `include` limits which changed paths are restored.
+export const undoEntries = (record, entries, include = () => true) => {
+	const result = structuredClone(record);
+	entries.forEach((entry) => {
+		[...entry.changes]
+			.reverse()
+			.filter((change) => include(change.path))
+			.forEach((change) => setValue(result, change.path, change.old));
+	});
+	return result;
+};
+
+// Provenance is keyed by the analysis field, which may be a parent of the changed
+// leaf (visual.body_color_primary for visual.body_color_primary.norm).
+const sourceOf = (record, path) => {
+	const group = pathKeyedGroup(path);
+	const segments = (group ? path.slice(group.length + 1) : path).split('.');
+	for (let length = segments.length; length > 0; length -= 1) {
+		const source = record.provenance?.[segments.slice(0, length).join('.')]?.source;
+		if (source) return source;
+	}
+	return null;
+};
+
+// Who produced each change: the provenance source of the field after an analysis
+// (model, ocr_regex, barcode, catalog), `system` for derived data such as media and
+// OCR text, or the given actor (e.g. `human`) for edits and reverts.
+export const attributeChanges = (changes, record, actor) =>
+	changes.map((change) => ({
+		...change,
+		actor: actor ?? sourceOf(record, change.path) ?? 'system'
+	}));
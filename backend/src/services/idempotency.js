@@ -0,0 +1,55 @@
+// Outcomes of WebSocket requests by their client idempotency key, so a request resent
+// after a reconnect gets the first outcome instead of running (and paying) twice.
+//
+// An entry is pending while the request runs or its analysis job waits, and collects
+// the requests that arrived again in the meantime (`waiters`). A successful response
+// is kept until the entry expires; a failure drops the entry so a retry runs again.
+export const createIdempotencyCache = ({ ttlMs, maxEntries = 1000 }) => {
+	const entries = new Map();
+
+	const prune = () => {
+		const now = Date.now();
+		for (const [key, entry] of entries) {
+			if (entry.expiresAt <= now) entries.delete(key);
+		}
+		// Map order is insertion order, so the oldest entries go first.
+		for (const key of entries.keys()) {
+			if (entries.size <= maxEntries) break;
+			entries.delete(key);
+		}
+	};
+
+	const get = (key) => {
+		prune();
+		return entries.get(key) ?? null;
+	};
+
+	const begin = (key) => {
+		const entry = { key, response: null, ack: null, jobId: null, waiters: [], expiresAt: Date.now() + ttlMs };
+		entries.set(key, entry);
+		prune();
+		return entry;
+	};
+
+	// Stores the response and hands it to every waiter; `expiresInMs` shortens the
+	// entry's life, e.g. to the validity of a presigned URL.
+	const complete = (key, response, { expiresInMs } = {}) => {
+		const entry = entries.get(key);
+		if (!entry) return [];
+		entry.response = response;
+		if (typeof expiresInMs === 'number') entry.expiresAt = Math.min(entry.expiresAt, Date.now() + expiresInMs);
+		const waiters = entry.waiters;
+		entry.waiters = [];
+		return waiters;
+	};
+
+	const fail = (key) => {
+		const entry = entries.get(key);
+		entries.delete(key);
+		return entry?.waiters ?? [];
+	};
+
+	const forJob = (jobId) => [...entries.values()].filter((entry) => entry.jobId === jobId && !entry.response);
+
+	return { get, begin, complete, fail, forJob };
+};
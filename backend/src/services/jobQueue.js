@@ -0,0 +1,242 @@
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+import { createJsonFile } from '../storage/jsonFile.js';
+import { neonLog, shorten } from '../logger.js';
+
+const MAX_JOB_EVENTS = 30;
+const MAX_FINISHED_JOBS = 200;
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+const errorMessage = (error) => (error instanceof Error ? error.message : String(error));
+
+// Persisted FIFO job queue. Jobs survive restarts (running jobs are put back to
+// pending on load), failures retry with exponential backoff, and jobs that run
+// out of attempts move to the dead-letter list until an operator retries them.
+// A handler that throws an error with `deferUntil` (epoch ms) puts the job back to
+// pending until then without using up an attempt.
+//
+// Emits:
+//   'status'    ({ job, event, message, data })  progress reported by a handler
+//   'completed' ({ job, result })
+//   'deferred'  ({ job, error })
+//   'failed'    ({ job, error, willRetry })
+export const createJobQueue = ({
+	filePath,
+	handlers,
+	concurrency = 2,
+	maxAttempts = 3,
+	backoffMs = 5000,
+	maxBackoffMs = 5 * 60 * 1000
+}) => {
+	const events = new EventEmitter();
+	const file = createJsonFile(filePath, () => ({ jobs: [] }));
+
+	let state = { jobs: [] };
+	let running = 0;
+	let started = false;
+	let timer = null;
+
+	const persist = () => {
+		const finished = state.jobs.filter((job) => job.status === 'completed');
+		if (finished.length > MAX_FINISHED_JOBS) {
+			const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS).map((job) => job.id));
+			state.jobs = state.jobs.filter((job) => !drop.has(job.id));
+		}
+		return file.save(state).catch((error) => {
+			neonLog('QUEUE', 'fail', `persist err=${shorten(errorMessage(error), 40)}`);
+		});
+	};
+
+	const pushEvent = (job, event, message, data = {}) => {
+		job.events = [...(job.events ?? []), { event, message, data, timestamp: new Date().toISOString() }].slice(
+			-MAX_JOB_EVENTS
+		);
+		job.updatedAt = Date.now();
+	};
+
+	const schedule = () => {
+		if (!started) return;
+		if (timer) {
+			clearTimeout(timer);
+			timer = null;
+		}
+
+		const now = Date.now();
+		const pending = state.jobs
+			.filter((job) => job.status === 'pending')
+			.sort((a, b) => a.runAt - b.runAt || a.createdAt - b.createdAt);
+
+		for (const job of pending) {
+			// A finishing job calls schedule() again, so stopping here is enough.
+			if (running >= concurrency) return;
+			if (job.runAt <= now) run(job);
+		}
+
+		const nextRunAt = pending
+			.filter((job) => job.status === 'pending')
+			.reduce((earliest, job) => Math.min(earliest, job.runAt), Infinity);
+		if (Number.isFinite(nextRunAt)) {
+			timer = setTimeout(schedule, Math.max(nextRunAt - now, 0));
+		}
+	};
+
+	const run = async (job) => {
+		const handler = handlers[job.type];
+		running += 1;
+		job.status = 'running';
+		job.attempts += 1;
+		job.startedAt = Date.now();
+		pushEvent(job, 'job.started', `Attempt ${job.attempts} of ${job.maxAttempts}`);
+		persist();
+
+		const onStatus = (event, message, data = {}) => {
+			pushEvent(job, event, message, data);
+			events.emit('status', { job, event, message, data });
+		};
+
+		try {
+			if (typeof handler !== 'function') {
+				throw new Error(`No handler registered for job type ${job.type}`);
+			}
+			const result = await handler(job.payload, { onStatus, job });
+			job.status = 'completed';
+			job.completedAt = Date.now();
+			job.lastError = null;
+			pushEvent(job, 'job.completed', 'Job completed');
+			neonLog('QUEUE', 'success', `${job.type} scan=${shorten(job.scan ?? '', 24)} attempts=${job.attempts}`);
+			events.emit('completed', { job, result });
+		} catch (error) {
+			const message = errorMessage(error);
+			job.lastError = message;
+			if (typeof error?.deferUntil === 'number') {
+				job.attempts -= 1;
+				job.status = 'pending';
+				job.runAt = error.deferUntil;
+				pushEvent(job, 'job.deferred', `Deferred: ${message}`, { runAt: new Date(job.runAt).toISOString() });
+				neonLog('QUEUE', 'fail', `${job.type} scan=${shorten(job.scan ?? '', 24)} deferred err=${shorten(message, 28)}`);
+				events.emit('deferred', { job, error });
+				return;
+			}
+			// Client errors (bad key, missing object) will not succeed on a retry.
+			const permanent = error?.retryable === false || (error?.status >= 400 && error?.status < 500);
+			const willRetry = job.attempts < job.maxAttempts && !permanent;
+			if (willRetry) {
+				const delay = Math.min(backoffMs * 2 ** (job.attempts - 1), maxBackoffMs);
+				job.status = 'pending';
+				job.runAt = Date.now() + delay;
+				pushEvent(job, 'job.retry.scheduled', `Retrying in ${Math.round(delay / 1000)}s: ${message}`, {
+					attempts: job.attempts,
+					runAt: new Date(job.runAt).toISOString()
+				});
+			} else {
+				job.status = 'dead';
+				job.failedAt = Date.now();
+				pushEvent(job, 'job.dead', `Moved to dead-letter list: ${message}`);
+			}
+			neonLog('QUEUE', 'fail', `${job.type} scan=${shorten(job.scan ?? '', 24)} err=${shorten(message, 28)}`);
+			events.emit('failed', { job, error, willRetry });
+		} finally {
+			running -= 1;
+			persist();
+			schedule();
+		}
+	};
+
+	const enqueue = (type, payload, { scan, requestId, maxAttempts: jobMaxAttempts, delayMs = 0 } = {}) => {
+		const now = Date.now();
+		const job = {
+			id: crypto.randomUUID(),
+			type,
+			scan,
+			requestId,
+			payload,
+			status: 'pending',
+			attempts: 0,
+			maxAttempts: jobMaxAttempts ?? maxAttempts,
+			runAt: now + delayMs,
+			createdAt: now,
+			updatedAt: now,
+			lastError: null,
+			events: []
+		};
+		pushEvent(job, 'job.queued', 'Queued for processing');
+		state.jobs.push(job);
+		persist();
+		// Defer so callers can announce the job before it starts emitting status.
+		setImmediate(schedule);
+		return job;
+	};
+
+	// Lets a producer fold more work into a job that has not started yet, e.g. to add
+	// another camera image or pull its start time forward.
+	const amend = (id, { payload, runAt }) => {
+		const job = get(id);
+		if (!job || job.status !== 'pending') return null;
+		if (payload) job.payload = payload;
+		if (typeof runAt === 'number') job.runAt = runAt;
+		pushEvent(job, 'job.amended', 'Job updated before start');
+		persist();
+		setImmediate(schedule);
+		return job;
+	};
+
+	const start = async () => {
+		const stored = await file.load();
+		state = { ...stored, jobs: [...stored.jobs, ...state.jobs] };
+		state.jobs.forEach((job) => {
+			if (job.status === 'running') {
+				job.status = 'pending';
+				job.runAt = Date.now();
+				pushEvent(job, 'job.recovered', 'Recovered after restart');
+			}
+		});
+		started = true;
+		await persist();
+		schedule();
+		neonLog('QUEUE', 'success', `started pending=${list({ status: 'pending' }).length} dead=${list({ status: 'dead' }).length}`);
+	};
+
+	const stop = () => {
+		started = false;
+		if (timer) {
+			clearTimeout(timer);
+			timer = null;
+		}
+	};
+
+	const get = (id) => state.jobs.find((job) => job.id === id) ?? null;
+
+	const list = ({ status, scan } = {}) =>
+		state.jobs.filter((job) => (!status || job.status === status) && (!scan || job.scan === scan));
+
+	const deadLetters = () => list({ status: 'dead' });
+
+	const retry = (id) => {
+		const job = get(id);
+		if (!job || job.status !== 'dead') return null;
+		job.status = 'pending';
+		job.attempts = 0;
+		job.runAt = Date.now();
+		job.lastError = null;
+		pushEvent(job, 'job.requeued', 'Requeued from dead-letter list');
+		persist();
+		schedule();
+		return job;
+	};
+
+	return {
+		on: (name, listener) => events.on(name, listener),
+		off: (name, listener) => events.off(name, listener),
+		enqueue,
+		amend,
+		start,
+		stop,
+		get,
+		list,
+		deadLetters,
+		retry,
+		isActive: (scan) => state.jobs.some((job) => job.scan === scan && ACTIVE_STATUSES.includes(job.status))
+	};
+};
@@ -0,0 +1,281 @@
+import { config } from '../config.js';
+import { neonLog, shorten } from '../logger.js';
+import { createJsonFile } from '../storage/jsonFile.js';
+import { formatCsv, neutralizeFormula } from './csv.js';
+import { resolveMediaUrls } from './export.js';
+import { UNKNOWN_VALUE } from './recordModel.js';
+import { getRecord } from './records.js';
+import { budgetExceededError, usage } from './usage.js';
+import { visionProvider } from './vision/index.js';
+
+// eBay rejects longer titles.
+const MAX_TITLE_LENGTH = 80;
+
+export const DEFAULT_LISTING_TEMPLATES = {
+	title: '{{item.line}} {{item.series}} {{vehicle.make}} {{item.model}} {{packaging.subset_number}}',
+	description: [
+		'{{item.line}} {{item.model}}',
+		'',
+		'Series: {{item.series}} {{packaging.subset_number}}',
+		'Make: {{vehicle.make}}',
+		'Color: {{visual.body_color_primary.norm}}',
+		'Wheels: {{visual.wheels.style}}',
+		'Assortment: {{codes.assortment}}',
+		'Batch code: {{codes.batch_code}}',
+		'',
+		'{{item.description}}',
+		'',
+		'Condition: {{vehicle.condition}}. Shipped from our warehouse, photos show the actual item.'
+	].join('\n'),
+	specifics: {
+		Brand: '{{item.line}}',
+		Series: '{{item.series}}',
+		'Vehicle Make': '{{vehicle.make}}',
+		Model: '{{item.model}}',
+		Color: '{{visual.body_color_primary.norm}}',
+		UPC: '{{codes.upc}}',
+		'Country/Region of Manufacture': '{{codes.country_of_origin}}'
+	},
+	photo_order: ['front', 'back'],
+	category: '',
+	condition_id: '1000',
+	copy_instructions: 'Write for collectors. Keep the facts; do not invent details that are not listed.'
+};
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const getPath = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+// Unknown and empty fields render as nothing, so a template can list every field a
+// listing might have.
+const fieldText = (record, path) => {
+	const value = getPath(record, path);
+	const values = (Array.isArray(value) ? value : [value])
+		.filter((entry) => typeof entry === 'string' || typeof entry === 'number')
+		.map((entry) => String(entry).trim())
+		.filter((entry) => entry && entry !== UNKNOWN_VALUE);
+	return values.join(', ');
+};
+
+const render = (template, record) => template.replace(PLACEHOLDER, (_, path) => fieldText(record, path));
+
+const placeholders = (template) => [...template.matchAll(PLACEHOLDER)].map((match) => match[1]);
+
+// "Subaru Subaru BRZ" -> "Subaru BRZ": make and model often repeat a word.
+const collapseWords = (text) =>
+	text
+		.split(/\s+/)
+		.filter(Boolean)
+		.filter((word, index, words) => index === 0 || word.toLowerCase() !== words[index - 1].toLowerCase())
+		.join(' ');
+
+const truncateTitle = (title) => {
+	if (title.length <= MAX_TITLE_LENGTH) return title;
+	const cut = title.slice(0, MAX_TITLE_LENGTH + 1);
+	return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : MAX_TITLE_LENGTH).trim();
+};
+
+// A line whose placeholders all came out empty is dropped, and runs of blank lines
+// collapse into one.
+const renderDescription = (template, record) =>
+	template
+		.split('\n')
+		.filter((line) => {
+			const paths = placeholders(line);
+			return !paths.length || paths.some((path) => fieldText(record, path));
+		})
+		.map((line) => render(line, record).replace(/[ \t]+/g, ' ').trim())
+		.join('\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+
+const orderPhotos = (urls, order) => {
+	const rank = (side) => (order.includes(side) ? order.indexOf(side) : order.length);
+	return [...urls].sort((a, b) => rank(a.side) - rank(b.side)).map((media) => media.url);
+};
+
+// Title, description, item specifics and photos from the templates alone.
+export const buildListing = async (record, templates, { mediaUrls = config.exportMediaUrls } = {}) => {
+	const warnings = placeholders(templates.title)
+		.filter((path) => !fieldText(record, path))
+		.map((path) => `${path} is unknown`);
+
+	const rendered = collapseWords(render(templates.title, record));
+	const title = truncateTitle(rendered);
+	if (title !== rendered) warnings.push(`Title shortened to ${MAX_TITLE_LENGTH} characters`);
+
+	const specifics = Object.fromEntries(
+		Object.entries(templates.specifics)
+			.map(([name, template]) => [name, collapseWords(render(template, record))])
+			.filter(([, value]) => value)
+	);
+
+	const photos = orderPhotos(await resolveMediaUrls(record, mediaUrls), templates.photo_order);
+	if (!photos.length) warnings.push('Record has no photos');
+
+	return {
+		id: record.id,
+		title,
+		description: renderDescription(templates.description, record),
+		specifics,
+		photos,
+		category: templates.category,
+		condition_id: templates.condition_id,
+		copy_source: 'template',
+		warnings
+	};
+};
+
+const copySchema = {
+	type: 'object',
+	properties: {
+		title: { type: 'string' },
+		description: { type: 'string' }
+	},
+	required: ['title', 'description'],
+	additionalProperties: false
+};
+
+const buildCopyPrompt = (listing, templates) =>
+	[
+		'Rewrite this marketplace listing for a die-cast toy car.',
+		`The title must stay under ${MAX_TITLE_LENGTH} characters and lead with the most searched terms.`,
+		'Return JSON with "title" and a plain-text "description".',
+		templates.copy_instructions,
+		'',
+		`Title: ${listing.title}`,
+		'Item specifics:',
+		...Object.entries(listing.specifics).map(([name, value]) => `- ${name}: ${value}`),
+		'',
+		'Description:',
+		listing.description
+	].join('\n');
+
+// Optional copywriting pass through the configured vision provider, without images.
+// Providers that cannot write copy (tesseract, fixture) and exhausted budgets leave the
+// template copy in place with a warning.
+const assistCopy = async (listing, templates, { station }) => {
+	const budget = visionProvider.billed ? await usage.check() : { exceeded: [] };
+	if (budget.exceeded.length) {
+		return { ...listing, warnings: [...listing.warnings, `${budgetExceededError(budget).message}; kept the template copy`] };
+	}
+
+	let response;
+	try {
+		response = await visionProvider.analyze({ prompt: buildCopyPrompt(listing, templates), schema: copySchema, images: [] });
+		if (visionProvider.billed) {
+			await usage.record({ station, tokens: response.usage?.totalTokens ?? 0 });
+		}
+	} catch (error) {
+		if (visionProvider.billed) {
+			await usage.record({ station, tokens: 0 });
+		}
+		const message = error instanceof Error ? error.message : 'unknown';
+		neonLog('LISTING', 'fail', `copy id=${shorten(listing.id, 24)} err=${shorten(message, 28)}`);
+		return { ...listing, warnings: [...listing.warnings, `Copywriting failed: ${message}`] };
+	}
+
+	const { title, description } = response.parsed ?? {};
+	if (typeof title !== 'string' || !title.trim() || typeof description !== 'string' || !description.trim()) {
+		return {
+			...listing,
+			warnings: [...listing.warnings, `${visionProvider.label} returned no listing copy; kept the template copy`]
+		};
+	}
+	neonLog('LISTING', 'success', `copy id=${shorten(listing.id, 24)} model=${response.model}`);
+	return {
+		...listing,
+		title: truncateTitle(collapseWords(title)),
+		description: description.trim(),
+		copy_source: response.model ?? visionProvider.name
+	};
+};
+
+// Templates are edited from the frontend and kept in LISTING_TEMPLATES_FILE; fields
+// missing from the file fall back to the defaults.
+export const createListingTemplates = ({ filePath }) => {
+	const file = createJsonFile(filePath, () => ({}));
+	let statePromise = null;
+
+	const load = () => {
+		if (!statePromise) {
+			statePromise = file.load();
+			statePromise.catch(() => {
+				statePromise = null;
+			});
+		}
+		return statePromise;
+	};
+
+	const get = async () => ({ ...DEFAULT_LISTING_TEMPLATES, ...(await load()) });
+
+	const save = async (templates) => {
+		statePromise = Promise.resolve({ ...templates });
+		await file.save(templates);
+		neonLog('LISTING', 'success', 'templates saved');
+		return get();
+	};
+
+	return { get, save };
+};
+
+export const listingTemplates = createListingTemplates({ filePath: config.listingTemplatesFile });
+
+// Listings for each id, in order. A record that cannot be read is reported in `errors`
+// instead of failing the batch.
+export const generateListings = async (ids, { assist = false, templates, mediaUrls, identity } = {}) => {
+	const resolved = templates ?? (await listingTemplates.get());
+	const items = [];
+	const errors = [];
+	for (const id of ids) {
+		try {
+			const listing = await buildListing(await getRecord(id), resolved, { mediaUrls });
+			items.push(assist ? await assistCopy(listing, resolved, { station: identity?.uid || 'anonymous' }) : listing);
+		} catch (error) {
+			errors.push({ id, message: error instanceof Error ? error.message : 'unknown' });
+		}
+	}
+	neonLog('LISTING', 'success', `generate count=${items.length} errors=${errors.length} assist=${assist}`);
+	return { items, errors };
+};
+
+// Descriptions are HTML on the marketplace; OCR text must not turn into markup.
+const escapeHtml = (text) =>
+	text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const ACTION_COLUMN = '*Action(SiteID=US|Country=US|Currency=USD|Version=1193)';
+
+// eBay File Exchange-style bulk upload: one "Add" row per listing, item specifics as
+// `C:<name>` columns and photos joined with "|". Price is left for the seller to fill in.
+export const formatListingsCsv = (listings) => {
+	const specificNames = [...new Set(listings.flatMap((listing) => Object.keys(listing.specifics ?? {})))];
+	const header = [
+		ACTION_COLUMN,
+		'CustomLabel',
+		'*Category',
+		'*Title',
+		'*Description',
+		'*ConditionID',
+		'PicURL',
+		'*Quantity',
+		'*Format',
+		'*Duration',
+		'*StartPrice',
+		...specificNames.map((name) => `C:${name}`)
+	];
+	const rows = listings.map((listing) => [
+		'Add',
+		listing.id,
+		listing.category ?? '',
+		listing.title,
+		escapeHtml(listing.description).replace(/\r?\n/g, '<br>'),
+		listing.condition_id ?? '',
+		(listing.photos ?? []).join('|'),
+		'1',
+		'FixedPrice',
+		'GTC',
+		'',
+		...specificNames.map((name) => listing.specifics?.[name] ?? '')
+	]);
+	return formatCsv([header, ...rows.map((cells) => cells.map(neutralizeFormula))]);
+};
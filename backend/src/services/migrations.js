@@ -0,0 +1,74 @@
+import { SCHEMA_VERSION } from './recordModel.js';
+
+// Ordered record migrations. Each one upgrades a record from `version - 1` to
+// `version` in place. Migrations describe the shape at the time they were written, so
+// they must not call into code that keeps evolving (the analyzer, recordAnalysis).
+// To change the record shape, append a migration and raise SCHEMA_VERSION to match.
+export const MIGRATIONS = [
+	{
+		version: 2,
+		description: 'Drop top-level keys of the pre-canonical record shape',
+		up: (record) => {
+			[
+				'analysis',
+				'analysisSummary',
+				'detectedText',
+				'dominantColors',
+				'objects',
+				'vehicleInsights',
+				'warnings',
+				'environment',
+				'raw',
+				'camera',
+				'capturedAt',
+				'contentType',
+				's3Key',
+				'scanId',
+				'responseId',
+				'updatedAt',
+				'model',
+				'extraMetadata',
+				's3Metadata'
+			].forEach((key) => delete record[key]);
+		}
+	},
+	{
+		version: 3,
+		description: 'Lock the fields a human edited before locks existed',
+		up: (record) => {
+			if (record.locks) return;
+			record.locks = {};
+			Object.entries(record.provenance ?? {}).forEach(([path, entry]) => {
+				if (entry?.source === 'human') {
+					record.locks[path] = { locked_by: '', locked_at: entry.updated_at ?? '' };
+				}
+			});
+		}
+	}
+];
+
+if (MIGRATIONS.at(-1).version !== SCHEMA_VERSION) {
+	throw new Error(`The last migration is for schema ${MIGRATIONS.at(-1).version}, not SCHEMA_VERSION ${SCHEMA_VERSION}`);
+}
+
+// Records written before schema versions were stamped count as version 1.
+export const schemaVersionOf = (record) => Number(record?.meta?.schema_version) || 1;
+
+export const needsMigration = (record) => Boolean(record) && schemaVersionOf(record) < SCHEMA_VERSION;
+
+// Returns an upgraded copy of `record`; the stored record is not touched. Records
+// from a newer schema than this code knows are returned as they are.
+export const migrateRecord = (record) => {
+	const from = schemaVersionOf(record);
+	if (!needsMigration(record)) return { record, from, to: from, applied: [] };
+
+	const upgraded = structuredClone(record);
+	const applied = MIGRATIONS.filter((migration) => migration.version > from);
+	applied.forEach((migration) => migration.up(upgraded));
+	upgraded.meta = { ...upgraded.meta, schema_version: SCHEMA_VERSION };
+	return { record: upgraded, from, to: SCHEMA_VERSION, applied: applied.map((migration) => migration.version) };
+};
+
+// Lazy migration: every read hands out the current shape, and the next write of the
+// record stores it.
+export const upgradeRecord = (record) => (record ? migrateRecord(record).record : record);
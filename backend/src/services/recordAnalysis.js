@@ -0,0 +1,271 @@
+import { UNKNOWN_VALUE } from './recordModel.js';
+
+export const SOURCES = {
+	model: 'model',
+	ocrRegex: 'ocr_regex',
+	barcode: 'barcode',
+	catalog: 'catalog',
+	human: 'human'
+};
+
+// Every record field the analysis can fill. `path` is where the value lives on the
+// record and in the model answer; `hint` is passed to the model in the prompt.
+// `verified` fields are never copied from the answer as-is: the analyzer checks
+// them first (UPC check digits) and writes them with applyFieldValue.
+export const ANALYSIS_FIELDS = [
+	{ path: 'item.line', hint: 'product line, e.g. "Mainline"' },
+	{ path: 'item.series', hint: 'collection name, e.g. "J-IMPORTS"' },
+	{ path: 'item.model', hint: 'vehicle name printed on the card' },
+	{ path: 'item.description', hint: 'one sentence describing the item' },
+	{ path: 'packaging.global_assortment_number', hint: 'position in the yearly assortment, e.g. "48/250"' },
+	{ path: 'packaging.subset_number', hint: 'position within the series, e.g. "3/5"' },
+	{ path: 'packaging.guarantee_badge', hint: 'e.g. "GUARANTEED FOR LIFE"' },
+	{ path: 'packaging.card_front_logo', hint: 'main logo on the card front' },
+	{ path: 'codes.upc', hint: 'digits printed under the barcode', verified: true },
+	{ path: 'codes.assortment', hint: 'assortment code, e.g. "L2593"' },
+	{ path: 'codes.internal_code', hint: 'other manufacturer codes' },
+	{ path: 'codes.batch_code', hint: 'packaging batch, e.g. "JBB55-N9COL G1"' },
+	{ path: 'codes.country_of_origin', hint: 'e.g. "MALAYSIA"' },
+	{ path: 'codes.region', hint: 'sales region, e.g. "US ONLY"' },
+	{ path: 'branding.brand', hint: 'manufacturer, e.g. "Mattel"' },
+	{ path: 'branding.websites', list: true, hint: 'websites printed on the package' },
+	{ path: 'compliance.age_warning', hint: 'age or small parts warning' },
+	{ path: 'compliance.standards', list: true, hint: 'e.g. "ASTM F963", "CE"' },
+	{ path: 'compliance.recycling', hint: 'recycling instructions' },
+	{ path: 'compliance.warranty', hint: 'warranty text' },
+	{ path: 'compliance.warnings', list: true, hint: 'other warnings' },
+	{ path: 'vehicle.make', hint: 'e.g. "Subaru"' },
+	{ path: 'vehicle.base_model', hint: 'e.g. "BRZ"' },
+	{ path: 'vehicle.condition', hint: 'package condition, e.g. "mint/new in package"' },
+	{ path: 'visual.body_color_primary', hint: 'main body color' },
+	{ path: 'visual.body_color_secondary', list: true, hint: 'other body colors' },
+	{ path: 'visual.graphics.style', hint: 'livery style, e.g. "racing / import"' },
+	{ path: 'visual.graphics.text_elements', list: true, hint: 'text printed on the car' },
+	{ path: 'visual.graphics.locations', list: true, hint: 'where graphics appear, e.g. "hood"' },
+	{ path: 'visual.wheels.style', hint: 'e.g. "5-spoke"' },
+	{ path: 'visual.wheels.rim_color', hint: 'e.g. "chrome/silver"' },
+	{ path: 'visual.wheels.tire_color', hint: 'e.g. "black"' },
+	{ path: 'visual.wheels.notes', hint: 'anything else about the wheels' }
+];
+
+const text = { type: 'string' };
+const textList = { type: 'array', items: { type: 'string' } };
+
+const fieldSchema = (field) => ({
+	type: 'object',
+	additionalProperties: false,
+	required: ['value', 'confidence'],
+	properties: {
+		value: field.list ? textList : text,
+		confidence: { type: 'number', minimum: 0, maximum: 1 }
+	}
+});
+
+const objectSchema = () => ({ type: 'object', additionalProperties: false, required: [], properties: {} });
+
+const buildAnalysisSchema = () => {
+	const schema = {
+		type: 'object',
+		additionalProperties: true,
+		required: ['detected_text'],
+		properties: { detected_text: textList }
+	};
+	ANALYSIS_FIELDS.forEach((field) => {
+		const segments = field.path.split('.');
+		let cursor = schema;
+		segments.forEach((segment, index) => {
+			if (!cursor.required.includes(segment)) cursor.required.push(segment);
+			if (index === segments.length - 1) {
+				cursor.properties[segment] = fieldSchema(field);
+				return;
+			}
+			cursor.properties[segment] = cursor.properties[segment] ?? objectSchema();
+			cursor = cursor.properties[segment];
+		});
+	});
+	return schema;
+};
+
+export const analysisSchema = buildAnalysisSchema();
+
+export const buildAnalysisPrompt = (sides) =>
+	`You are analyzing photos of one die-cast toy car package${
+		sides.length > 1
+			? `, taken from several sides: ${sides.map((side, index) => `image ${index + 1} is the ${side}`).join(', ')}`
+			: ` (${sides[0] ?? 'front'} side)`
+	}. ` +
+	`Combine what you see into a single description of the item and fill every field of the schema. ` +
+	`Each field is an object with "value" and "confidence" (0 to 1, how sure you are the value is printed or visible as given). ` +
+	`Use UNKNOWN (or an empty list) with confidence 0 when a value is not visible. Fields:\n` +
+	ANALYSIS_FIELDS.map((field) => `- ${field.path}: ${field.hint}`).join('\n') +
+	`\nAlso return every text snippet you relied on in detected_text.`;
+
+export const getPath = (target, path) =>
+	path.split('.').reduce((cursor, segment) => (cursor && typeof cursor === 'object' ? cursor[segment] : undefined), target);
+
+const setPath = (target, path, value) => {
+	const segments = path.split('.');
+	const last = segments.pop();
+	const parent = segments.reduce((cursor, segment) => {
+		if (!cursor[segment] || typeof cursor[segment] !== 'object') cursor[segment] = {};
+		return cursor[segment];
+	}, target);
+	parent[last] = value;
+};
+
+const cleanText = (value) => {
+	if (typeof value !== 'string') return '';
+	const trimmed = value.trim();
+	return trimmed.toUpperCase() === UNKNOWN_VALUE ? '' : trimmed;
+};
+
+const cleanList = (value) => (Array.isArray(value) ? value.map(cleanText).filter(Boolean) : []);
+
+const cleanConfidence = (value) => {
+	const num = Number(value);
+	return value === null || value === undefined || !Number.isFinite(num) ? null : Math.min(Math.max(num, 0), 1);
+};
+
+export const isUnset = (value) =>
+	value === undefined || value === null || value === '' || value === UNKNOWN_VALUE;
+
+// The prompt asks for { value, confidence } per field; older fixtures and custom
+// prompts answer with the bare value, and the first prompts used flat field names.
+const readAnswer = (analysis, field) => {
+	const flat = {
+		'item.model': analysis.car_name,
+		'item.series': analysis.series,
+		'codes.batch_code': analysis.batch_code,
+		'packaging.subset_number': analysis.subset_number
+	};
+	const raw = getPath(analysis, field.path) ?? flat[field.path];
+	const answer = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : { value: raw, confidence: null };
+	return {
+		value: field.list ? cleanList(answer.value) : cleanText(answer.value),
+		confidence: cleanConfidence(answer.confidence)
+	};
+};
+
+export const readFieldAnswer = (analysis, path) =>
+	readAnswer(analysis ?? {}, ANALYSIS_FIELDS.find((field) => field.path === path));
+
+export const setProvenance = (record, path, { source, confidence = null, model }) => {
+	record.provenance = record.provenance ?? {};
+	record.provenance[path] = {
+		source,
+		confidence,
+		...(model ? { model } : {}),
+		updated_at: new Date().toISOString()
+	};
+};
+
+export const isLocked = (record, path) => Boolean(record.locks?.[path]);
+
+// Sets (true) or clears (false) the lock on each given analysis field path.
+export const setLocks = (record, locks, { uid } = {}) => {
+	record.locks = record.locks ?? {};
+	Object.entries(locks).forEach(([path, locked]) => {
+		if (locked) {
+			record.locks[path] = { locked_by: uid ?? '', locked_at: new Date().toISOString() };
+		} else {
+			delete record.locks[path];
+		}
+	});
+	return record;
+};
+
+const currentValue = (record, field) => {
+	const value = getPath(record, field.path);
+	return field.path === 'visual.body_color_primary' ? value?.norm : value;
+};
+
+// A locked field is never replaced. Otherwise a value may replace what is on the
+// record when the slot is empty, when the stored value came from a machine source
+// with lower confidence, or when it is a human value whose lock was removed.
+const canReplace = (record, field, confidence) => {
+	if (isLocked(record, field.path)) return false;
+	if (isUnset(currentValue(record, field))) return true;
+	const existing = record.provenance?.[field.path];
+	if (!existing) return false;
+	if (existing.source === SOURCES.human) return true;
+	return (confidence ?? 0) > (existing.confidence ?? 0);
+};
+
+// The model's answers for locked fields that differ from the stored value. Call it
+// before applyRecordAnalysis to report what the merge is about to skip.
+export const lockedSuggestions = (record, parsed) => {
+	if (!parsed || typeof parsed !== 'object') return [];
+	return ANALYSIS_FIELDS.filter((field) => isLocked(record, field.path)).flatMap((field) => {
+		const { value, confidence } = readAnswer(parsed, field);
+		const current = currentValue(record, field);
+		const differs = field.list
+			? value.some((entry) => !(current ?? []).includes(entry))
+			: Boolean(value) && value !== current;
+		return differs ? [{ path: field.path, suggested: value, current: current ?? null, confidence }] : [];
+	});
+};
+
+// Maps a model answer onto the record and records where each value came from.
+// List fields are unioned with what is already stored.
+export const applyRecordAnalysis = (record, parsed, { model } = {}) => {
+	if (!parsed || typeof parsed !== 'object') return record;
+
+	ANALYSIS_FIELDS.forEach((field) => {
+		if (field.verified) return;
+		const { value, confidence } = readAnswer(parsed, field);
+		const provenance = { source: SOURCES.model, confidence, model };
+
+		if (field.list) {
+			if (isLocked(record, field.path)) return;
+			const existing = getPath(record, field.path) ?? [];
+			const added = value.filter((entry) => !existing.includes(entry));
+			if (!added.length) return;
+			setPath(record, field.path, [...existing, ...added]);
+			if (record.provenance?.[field.path]?.source !== SOURCES.human) {
+				setProvenance(record, field.path, provenance);
+			}
+			return;
+		}
+
+		if (!value || !canReplace(record, field, confidence)) return;
+		if (field.path === 'visual.body_color_primary') {
+			setPath(record, field.path, {
+				norm: value.toLowerCase(),
+				raw: value,
+				confidence: confidence ?? 0,
+				source: model ?? ''
+			});
+		} else {
+			setPath(record, field.path, value);
+		}
+		setProvenance(record, field.path, provenance);
+	});
+
+	return record;
+};
+
+// Writes a value that was produced outside the model answer (e.g. a decoded barcode),
+// following the same replacement rules as the answer itself.
+export const applyFieldValue = (record, path, value, provenance) => {
+	const field = ANALYSIS_FIELDS.find((entry) => entry.path === path);
+	if (!field || !value || !canReplace(record, field, provenance.confidence)) return false;
+	setPath(record, path, value);
+	setProvenance(record, path, provenance);
+	return true;
+};
+
+// Fills a field from a regex match over the OCR text when nothing better is stored.
+export const applyOcrFallback = (record, path, value, confidence = 0.3) => {
+	const field = ANALYSIS_FIELDS.find((entry) => entry.path === path);
+	if (!field || !value || isLocked(record, path) || !isUnset(currentValue(record, field))) return;
+	setPath(record, path, value);
+	setProvenance(record, path, { source: SOURCES.ocrRegex, confidence });
+};
+
+// Marks every analysis field present in a PATCH body as human-entered and locks it.
+export const stampHumanEdits = (record, patch, identity) => {
+	const edited = ANALYSIS_FIELDS.filter((field) => getPath(patch, field.path) !== undefined);
+	edited.forEach((field) => setProvenance(record, field.path, { source: SOURCES.human, confidence: 1 }));
+	setLocks(record, Object.fromEntries(edited.map((field) => [field.path, true])), identity);
+	return record;
+};
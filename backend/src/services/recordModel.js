@@ -0,0 +1,153 @@
+// Raise together with a new entry in migrations.js.
+export const SCHEMA_VERSION = 3;
+export const UNKNOWN_VALUE = 'UNKNOWN';
+
+export const deepMerge = (target, source) => {
+	if (!source) return target;
+	const output = Array.isArray(target) ? [...target] : { ...target };
+	for (const [key, value] of Object.entries(source)) {
+		if (Array.isArray(value)) {
+			output[key] = value;
+		} else if (value && typeof value === 'object') {
+			output[key] = deepMerge(output[key] ?? {}, value);
+		} else {
+			output[key] = value;
+		}
+	}
+	return output;
+};
+
+export const createEmptyRecord = (id) => ({
+	id,
+	item: {
+		line: '',
+		series: '',
+		model: '',
+		description: ''
+	},
+	packaging: {
+		global_assortment_number: '',
+		subset_number: '',
+		guarantee_badge: '',
+		card_front_logo: ''
+	},
+	codes: {
+		upc: '',
+		assortment: '',
+		internal_code: '',
+		batch_code: '',
+		country_of_origin: '',
+		region: ''
+	},
+	branding: {
+		brand: '',
+		websites: []
+	},
+	compliance: {
+		age_warning: '',
+		standards: [],
+		recycling: '',
+		warranty: '',
+		warnings: []
+	},
+	vehicle: {
+		make: '',
+		base_model: '',
+		condition: ''
+	},
+	visual: {
+		body_color_primary: {
+			norm: '',
+			raw: '',
+			confidence: 0,
+			source: ''
+		},
+		body_color_secondary: [],
+		graphics: {
+			style: '',
+			text_elements: [],
+			locations: []
+		},
+		wheels: {
+			style: '',
+			rim_color: '',
+			tire_color: '',
+			notes: ''
+		}
+	},
+	inventory: {
+		location: '',
+		status: '',
+		owner: ''
+	},
+	ocr: {
+		raw_text: [],
+		entities: []
+	},
+	media: [],
+	provenance: {},
+	locks: {},
+	duplicates: [],
+	catalog: {},
+	scan: {
+		scan_id: id,
+		request_id: '',
+		scanned_at: ''
+	},
+	extra: {
+		raw_front: {},
+		raw_back: {},
+		raw_other: {}
+	},
+	meta: {
+		schema_version: SCHEMA_VERSION,
+		version: 0,
+		created_at: '',
+		updated_at: ''
+	}
+});
+
+const ensurePlaceholder = (record, path) => {
+	let cursor = record;
+	for (let i = 0; i < path.length - 1; i += 1) {
+		const segment = path[i];
+		if (!cursor || typeof cursor !== 'object') return;
+		cursor = cursor[segment];
+	}
+	const last = path[path.length - 1];
+	if (cursor && typeof cursor[last] === 'string' && cursor[last].trim() === '') {
+		cursor[last] = UNKNOWN_VALUE;
+	}
+};
+
+export const ensurePlaceholders = (record) => {
+	const placeholderPaths = [
+		['item', 'line'],
+		['item', 'series'],
+		['item', 'model'],
+		['item', 'description'],
+		['packaging', 'global_assortment_number'],
+		['packaging', 'subset_number'],
+		['packaging', 'guarantee_badge'],
+		['packaging', 'card_front_logo'],
+		['codes', 'upc'],
+		['codes', 'assortment'],
+		['codes', 'internal_code'],
+		['codes', 'batch_code'],
+		['codes', 'country_of_origin'],
+		['codes', 'region'],
+		['branding', 'brand'],
+		['compliance', 'age_warning'],
+		['compliance', 'recycling'],
+		['compliance', 'warranty'],
+		['vehicle', 'make'],
+		['vehicle', 'base_model'],
+		['vehicle', 'condition'],
+		['inventory', 'location'],
+		['inventory', 'status'],
+		['scan', 'request_id'],
+		['scan', 'scanned_at']
+	];
+
+	placeholderPaths.forEach((path) => ensurePlaceholder(record, path));
+};
@@ -0,0 +1,248 @@
+import { historyStore, recordStore } from '../storage/index.js';
+import { VERSION_CONFLICT } from '../storage/versionConflict.js';
+import { config } from '../config.js';
+import { neonLog, shorten } from '../logger.js';
+import { SCHEMA_VERSION, createEmptyRecord, deepMerge, ensurePlaceholders } from './recordModel.js';
+import { SOURCES, setLocks, stampHumanEdits } from './recordAnalysis.js';
+import { attributeChanges, diffRecords, undoEntries } from './history.js';
+import { migrateRecord, needsMigration, upgradeRecord } from './migrations.js';
+
+const notFound = (id) => {
+	const error = new Error(`Record ${id} not found`);
+	error.status = 404;
+	return error;
+};
+
+// What a revert restores: the field groups PATCH can edit and their provenance.
+// Media, scan details, OCR text and duplicate links describe what was captured and stay
+// as they are.
+const REVERTIBLE_GROUPS = new Set([
+	'item',
+	'packaging',
+	'codes',
+	'branding',
+	'compliance',
+	'vehicle',
+	'visual',
+	'inventory',
+	'provenance',
+	'locks'
+]);
+
+const actorOf = (identity) => (identity?.uid ? { uid: identity.uid, name: identity.name } : null);
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const HISTORY_APPEND_ATTEMPTS = 3;
+
+// The record is already stored when its history entry is appended, so a failed append
+// is retried and then fails the write instead of leaving a silent gap in the history.
+const appendHistory = async (entry) => {
+	for (let attempt = 1; ; attempt += 1) {
+		try {
+			return await historyStore.append(entry);
+		} catch (error) {
+			// An earlier attempt that reported a failure may have written the entry anyway.
+			if (attempt > 1 && error.name === 'ConditionalCheckFailedException') return entry;
+			const message = error instanceof Error ? error.message : 'unknown';
+			neonLog(
+				'HIST',
+				'fail',
+				`append scan=${shorten(entry.record_id, 36)} v=${entry.version} attempt=${attempt} err=${shorten(message, 28)}`
+			);
+			if (attempt >= HISTORY_APPEND_ATTEMPTS) {
+				const failure = new Error(
+					`Record ${entry.record_id} v${entry.version} was stored but its history entry was not: ${message}`
+				);
+				failure.status = 500;
+				throw failure;
+			}
+			await pause(100 * attempt);
+		}
+	}
+};
+
+// A record created again after a delete continues the numbering of its old history.
+const latestVersion = async (id) => {
+	const { items } = await historyStore.list(id, { limit: 1 });
+	return items[0]?.version ?? 0;
+};
+
+// Stores `record` as the successor of `previous` (null for a new record) and appends
+// the field-level changes to the history. The write fails with a VERSION_CONFLICT
+// error when the stored record is no longer `previous`. `actor` labels the changes
+// (e.g. `human`); without it each change is attributed to its field's provenance source.
+const commitRecord = async (
+	record,
+	{ previous = null, action, actor, identity = null, requestId = null, details = {} }
+) => {
+	const expectedVersion = previous?.meta?.version ?? 0;
+	record.meta.version = (previous ? expectedVersion : await latestVersion(record.id)) + 1;
+	const changes = attributeChanges(diffRecords(previous, record), record, actor);
+
+	await recordStore.put(record, { expectedVersion });
+	await appendHistory({
+		record_id: record.id,
+		version: record.meta.version,
+		action: previous ? action : 'create',
+		timestamp: new Date().toISOString(),
+		request_id: requestId,
+		user: actorOf(identity),
+		changes,
+		...details
+	});
+	return record;
+};
+
+// Runs `write` (read, derive, commit) again when another write lands first. Gives up
+// after RECORD_WRITE_ATTEMPTS tries.
+const retryOnConflict = async (id, write) => {
+	for (let attempt = 1; ; attempt += 1) {
+		try {
+			return await write();
+		} catch (error) {
+			if (error.code !== VERSION_CONFLICT || attempt >= config.recordWriteAttempts) throw error;
+			neonLog('DB', 'fail', `conflict scan=${shorten(id, 36)} attempt=${attempt} retrying`);
+			await pause(Math.random() * 20 * attempt);
+		}
+	}
+};
+
+// Every write to a record goes through here. `build(previous)` derives the new record
+// from the stored one (upgraded to the current schema, or null when there is none) and
+// may return null to skip the write. When another write lands first, the record is read
+// again and `build` re-applied, so concurrent writers (such as both cameras of one
+// scan) merge instead of overwriting each other.
+export const writeRecord = (id, build, options = {}) =>
+	retryOnConflict(id, async () => {
+		const previous = upgradeRecord(await recordStore.get(id));
+		const record = await build(previous);
+		if (!record) return previous;
+		return commitRecord(record, { ...options, previous });
+	});
+
+// Stores the upgrade that reads otherwise only apply in memory. The shape changes are
+// recorded as a `migrate` history entry. Returns null when the record is current.
+export const migrateStoredRecord = (id) =>
+	retryOnConflict(id, async () => {
+		const stored = await recordStore.get(id);
+		if (!needsMigration(stored)) return null;
+		const { record, from, to } = migrateRecord(stored);
+		await commitRecord(record, {
+			previous: stored,
+			action: 'migrate',
+			actor: 'system',
+			details: { schema_from: from, schema_to: to }
+		});
+		return { record, from, to };
+	});
+
+export const listRecords = async (query) => {
+	try {
+		const page = await recordStore.list(query);
+		neonLog('DB', 'success', `list records count=${page.items.length}`);
+		return { ...page, items: page.items.map(upgradeRecord) };
+	} catch (error) {
+		const message = error instanceof Error ? error.message : 'unknown';
+		neonLog('DB', 'fail', `list records err=${shorten(message, 28)}`);
+		throw error;
+	}
+};
+
+export const getRecord = async (id) => {
+	const record = await recordStore.get(id);
+	if (!record) {
+		throw notFound(id);
+	}
+	return upgradeRecord(record);
+};
+
+const applyPatch = (id, { locks, ...patch }, identity) => (existing) => {
+	if (!existing) throw notFound(id);
+	const record = deepMerge(deepMerge(createEmptyRecord(id), existing), patch);
+
+	record.meta.updated_at = new Date().toISOString();
+	record.meta.schema_version = SCHEMA_VERSION;
+	stampHumanEdits(record, patch, identity);
+	if (locks) setLocks(record, locks, identity);
+	ensurePlaceholders(record);
+	return record;
+};
+
+export const updateRecord = async (id, patch, { identity, requestId } = {}) => {
+	try {
+		const record = await writeRecord(id, applyPatch(id, patch, identity), {
+			action: 'edit',
+			actor: SOURCES.human,
+			identity,
+			requestId
+		});
+		neonLog('DB', 'success', `patch scan=${shorten(id, 36)}`);
+		return record;
+	} catch (error) {
+		const message = error instanceof Error ? error.message : 'unknown';
+		neonLog('DB', 'fail', `patch scan=${shorten(id, 36)} err=${shorten(message, 28)}`);
+		throw error;
+	}
+};
+
+// Deletes the version that was read, together with its `delete` history entry, so an
+// edit or analysis committed in between is not lost: the delete is retried against it.
+export const deleteRecord = (id, { identity, requestId } = {}) =>
+	retryOnConflict(id, async () => {
+		const existing = await recordStore.get(id);
+		if (!existing) throw notFound(id);
+		const version = existing.meta?.version ?? 0;
+		await recordStore.delete(id, {
+			expectedVersion: version,
+			history: {
+				record_id: id,
+				version: version + 1,
+				action: 'delete',
+				timestamp: new Date().toISOString(),
+				request_id: requestId ?? null,
+				user: actorOf(identity),
+				changes: attributeChanges(diffRecords(existing, null), existing, SOURCES.human)
+			}
+		});
+		neonLog('DB', 'success', `delete scan=${shorten(id, 36)}`);
+		return existing;
+	});
+
+export const getRecordHistory = (id, { limit, cursor } = {}) => historyStore.list(id, { limit, cursor });
+
+// Restores the revertible fields to how they were at `version` by undoing every later
+// change, and records that as a new `revert` version.
+export const revertRecord = async (id, version, { identity, requestId } = {}) => {
+	const record = await writeRecord(
+		id,
+		async (existing) => {
+			if (!existing) throw notFound(id);
+			const current = existing.meta?.version ?? 0;
+			if (version >= current) {
+				const error = new Error(`Record ${id} is already at version ${current}`);
+				error.status = 409;
+				throw error;
+			}
+			const { items: later } = await historyStore.list(id, { afterVersion: version });
+			if (later.length < current - version) {
+				const error = new Error(`History of ${id} is incomplete; cannot revert to version ${version}`);
+				error.status = 409;
+				throw error;
+			}
+
+			// Schema migrations stay applied; only data changes are undone.
+			const reverted = undoEntries(
+				existing,
+				later.filter((entry) => entry.action !== 'migrate'),
+				(path) => REVERTIBLE_GROUPS.has(path.split('.')[0])
+			);
+			reverted.meta = { ...existing.meta, updated_at: new Date().toISOString() };
+			ensurePlaceholders(reverted);
+			return reverted;
+		},
+		{ action: 'revert', actor: SOURCES.human, identity, requestId, details: { reverted_to: version } }
+	);
+	neonLog('DB', 'success', `revert scan=${shorten(id, 36)} to=v${version}`);
+	return record;
+};
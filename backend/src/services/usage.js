@@ -0,0 +1,133 @@
+import { config } from '../config.js';
+import { createJsonFile } from '../storage/jsonFile.js';
+import { neonLog } from '../logger.js';
+
+const KEEP_DAYS = 400;
+const PERIODS = ['day', 'month'];
+const METRICS = ['calls', 'tokens'];
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+const emptyTotals = () => ({ calls: 0, tokens: 0 });
+
+const addTo = (totals, { calls, tokens }) => {
+	totals.calls += calls;
+	totals.tokens += tokens;
+	return totals;
+};
+
+// Budgets reset at UTC midnight and on the first of the month (UTC).
+const resetTime = (period, now) =>
+	period === 'day'
+		? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+		: Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+
+// Daily model call and token counts, in total and per station (the uploader's uid).
+// `limits` is `{ day: { calls, tokens }, month: { calls, tokens } }`; 0 means unlimited.
+export const createUsageLedger = ({ filePath, limits }) => {
+	const file = createJsonFile(filePath, () => ({ days: {} }));
+	let statePromise = null;
+
+	const load = () => {
+		if (!statePromise) {
+			statePromise = file.load().then((stored) => ({ days: {}, ...stored }));
+			statePromise.catch(() => {
+				statePromise = null;
+			});
+		}
+		return statePromise;
+	};
+
+	const totalsFor = (state, now) => {
+		const today = dayKey(now);
+		const month = today.slice(0, 7);
+		const day = { ...emptyTotals(), ...(state.days[today] ?? {}) };
+		const monthTotals = Object.entries(state.days)
+			.filter(([key]) => key.startsWith(month))
+			.reduce((totals, [, entry]) => addTo(totals, entry), emptyTotals());
+		return { day: { calls: day.calls, tokens: day.tokens }, month: monthTotals };
+	};
+
+	// Lists every exhausted limit. `resetsAt` is when all of them have reset.
+	const check = async (now = new Date()) => {
+		const totals = totalsFor(await load(), now);
+		const exceeded = [];
+		PERIODS.forEach((period) => {
+			METRICS.forEach((metric) => {
+				const limit = limits[period]?.[metric] ?? 0;
+				if (limit > 0 && totals[period][metric] >= limit) {
+					exceeded.push({ period, metric, used: totals[period][metric], limit });
+				}
+			});
+		});
+		const resetsAt = exceeded.length
+			? Math.max(...exceeded.map((entry) => resetTime(entry.period, now)))
+			: null;
+		return { exceeded, resetsAt, totals };
+	};
+
+	const record = async ({ station = 'anonymous', tokens = 0 }, now = new Date()) => {
+		const state = await load();
+		const key = dayKey(now);
+		const entry = state.days[key] ?? { ...emptyTotals(), stations: {} };
+		addTo(entry, { calls: 1, tokens });
+		entry.stations[station] = addTo({ ...emptyTotals(), ...entry.stations[station] }, { calls: 1, tokens });
+		state.days[key] = entry;
+
+		const cutoff = dayKey(new Date(now.getTime() - KEEP_DAYS * 24 * 60 * 60 * 1000));
+		Object.keys(state.days)
+			.filter((day) => day < cutoff)
+			.forEach((day) => delete state.days[day]);
+
+		await file.save(state).catch((error) => {
+			neonLog('USAGE', 'fail', `persist err=${error.message ?? error}`);
+		});
+		return entry;
+	};
+
+	const report = async ({ days = 31 } = {}, now = new Date()) => {
+		const state = await load();
+		const month = dayKey(now).slice(0, 7);
+		const stations = {};
+		Object.entries(state.days)
+			.filter(([key]) => key.startsWith(month))
+			.forEach(([, entry]) => {
+				Object.entries(entry.stations ?? {}).forEach(([station, totals]) => {
+					stations[station] = addTo(stations[station] ?? emptyTotals(), totals);
+				});
+			});
+		const { exceeded, resetsAt, totals } = await check(now);
+		return {
+			limits,
+			action: config.budgetAction,
+			totals,
+			exceeded,
+			resetsAt: resetsAt ? new Date(resetsAt).toISOString() : null,
+			stations,
+			days: Object.entries(state.days)
+				.sort(([a], [b]) => b.localeCompare(a))
+				.slice(0, days)
+				.map(([date, entry]) => ({ date, ...entry }))
+		};
+	};
+
+	return { check, record, report };
+};
+
+export const usage = createUsageLedger({ filePath: config.usageFile, limits: config.budget });
+
+const describeLimit = ({ period, metric, used, limit }) =>
+	`${period === 'day' ? 'daily' : 'monthly'} ${metric} budget (${used}/${limit})`;
+
+// Error thrown when a budget is exhausted. With BUDGET_ACTION=queue the job queue
+// holds the job until `deferUntil`; with `refuse` it is dead-lettered.
+export const budgetExceededError = ({ exceeded, resetsAt }) => {
+	const error = new Error(`Model ${exceeded.map(describeLimit).join(', ')} exceeded`);
+	error.code = 'BUDGET_EXCEEDED';
+	if (config.budgetAction === 'queue') {
+		error.deferUntil = resetsAt;
+	} else {
+		error.retryable = false;
+	}
+	return error;
+};
@@ -0,0 +1,183 @@
+import crypto from 'node:crypto';
+
+import { config } from '../config.js';
+import { createJsonFile } from '../storage/jsonFile.js';
+import { neonLog, shorten } from '../logger.js';
+
+export const IDENTITY_KINDS = ['user', 'station'];
+
+// Ordered by privilege; each role can do everything the roles before it can.
+// scanner: presign_request / upload_complete. reviewer: analyze_request, record edits,
+// job retries. admin: record deletion, catalog management, custom prompts.
+export const ROLES = ['scanner', 'reviewer', 'admin'];
+
+export const hasRole = (identity, role) => ROLES.indexOf(identity?.role) >= ROLES.indexOf(role);
+
+const assertRole = (role) => {
+	if (!ROLES.includes(role)) {
+		throw new Error(`Unsupported role "${role}" (expected one of ${ROLES.join(', ')})`);
+	}
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Tokens are "<uid>.<secret>" so a lookup does not have to hash against every user.
+const issueToken = (uid) => `${uid}.${crypto.randomBytes(24).toString('base64url')}`;
+
+const displayName = (user) => user.name || [user.first, user.last].filter(Boolean).join(' ') || user.uid;
+
+// The part of a user that is safe to attach to requests, jobs and API responses.
+export const toIdentity = (user) => ({
+	uid: user.uid,
+	kind: user.kind,
+	name: displayName(user),
+	role: user.role ?? 'scanner'
+});
+
+// Requests without a token when AUTH_REQUIRED=false.
+const anonymousIdentity = () => ({ uid: '', kind: 'user', name: 'anonymous', role: config.anonymousRole });
+
+const toPublicUser = ({ token_hash: _tokenHash, ...user }) => user;
+
+const unauthorized = (message) => {
+	const error = new Error(message);
+	error.status = 401;
+	return error;
+};
+
+// Users and scanning stations, following the `user` table sketch (UID, first, last,
+// email, phone). Each one has a single bearer token; only its SHA-256 is stored, so a
+// lost token is replaced with `rotateToken`, not recovered.
+export const createUserDirectory = ({ filePath }) => {
+	const file = createJsonFile(filePath, () => ({ users: [] }));
+	let statePromise = null;
+
+	const load = () => {
+		if (!statePromise) {
+			statePromise = file.load().then((stored) => ({ users: [], ...stored }));
+			statePromise.catch(() => {
+				statePromise = null;
+			});
+		}
+		return statePromise;
+	};
+
+	const persist = (state) => file.save(state);
+
+	const find = async (uid) => (await load()).users.find((user) => user.uid === uid) ?? null;
+
+	const create = async ({
+		kind = 'user',
+		role = 'scanner',
+		name = '',
+		first = '',
+		last = '',
+		email = '',
+		phone = ''
+	}) => {
+		if (!IDENTITY_KINDS.includes(kind)) {
+			throw new Error(`Unsupported identity kind "${kind}" (expected one of ${IDENTITY_KINDS.join(', ')})`);
+		}
+		assertRole(role);
+		const state = await load();
+		const uid = crypto.randomBytes(4).toString('hex');
+		const token = issueToken(uid);
+		const user = {
+			uid,
+			kind,
+			role,
+			name,
+			first,
+			last,
+			email,
+			phone,
+			disabled: false,
+			token_hash: hashToken(token),
+			created_at: new Date().toISOString()
+		};
+		state.users.push(user);
+		await persist(state);
+		neonLog('AUTH', 'success', `created ${kind} uid=${uid} role=${role} name=${shorten(displayName(user), 24)}`);
+		return { user: toPublicUser(user), token };
+	};
+
+	const update = async (uid, change) => {
+		const state = await load();
+		const user = state.users.find((entry) => entry.uid === uid);
+		if (!user) return null;
+		const result = change(user);
+		user.updated_at = new Date().toISOString();
+		await persist(state);
+		return result;
+	};
+
+	const rotateToken = (uid) =>
+		update(uid, (user) => {
+			const token = issueToken(uid);
+			user.token_hash = hashToken(token);
+			return { user: toPublicUser(user), token };
+		});
+
+	const setDisabled = (uid, disabled) =>
+		update(uid, (user) => {
+			user.disabled = disabled;
+			return toPublicUser(user);
+		});
+
+	const setRole = (uid, role) => {
+		assertRole(role);
+		return update(uid, (user) => {
+			user.role = role;
+			return toPublicUser(user);
+		});
+	};
+
+	const authenticate = async (token) => {
+		const [uid] = String(token).split('.');
+		const user = await find(uid);
+		if (!user || user.disabled) return null;
+		const expected = Buffer.from(user.token_hash, 'hex');
+		const actual = Buffer.from(hashToken(token), 'hex');
+		return crypto.timingSafeEqual(expected, actual) ? toIdentity(user) : null;
+	};
+
+	return {
+		load,
+		list: async () => (await load()).users.map(toPublicUser),
+		get: async (uid) => {
+			const user = await find(uid);
+			return user && toPublicUser(user);
+		},
+		create,
+		rotateToken,
+		setDisabled,
+		setRole,
+		authenticate
+	};
+};
+
+export const users = createUserDirectory({ filePath: config.usersFile });
+
+// Browsers cannot set headers on a WebSocket upgrade or a plain link, so the token is
+// also accepted as a `token` query parameter.
+export const readRequestToken = (req) => {
+	const header = req.headers.authorization ?? '';
+	if (header.toLowerCase().startsWith('bearer ')) {
+		return header.slice(7).trim();
+	}
+	return new URL(req.url, 'http://localhost').searchParams.get('token') || null;
+};
+
+// Resolves the identity behind a request. Without a token the request is anonymous
+// (AUTH_ANONYMOUS_ROLE) when AUTH_REQUIRED=false and rejected otherwise; a bad token
+// is always rejected.
+export const identifyRequest = async (req) => {
+	const token = readRequestToken(req);
+	if (!token) {
+		if (config.authRequired) throw unauthorized('Authentication required');
+		return anonymousIdentity();
+	}
+	const identity = await users.authenticate(token);
+	if (!identity) throw unauthorized('Invalid or disabled token');
+	return identity;
+};
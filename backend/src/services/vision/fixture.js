@@ -0,0 +1,59 @@
+import crypto from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+const DEFAULT_FIXTURE = {
+	detected_text: ['HOT WHEELS', 'J-IMPORTS', 'SUBARU BRZ', '3/5', 'JBB55-N9COL G1'],
+	item: {
+		line: { value: 'Hot Wheels', confidence: 0.9 },
+		series: { value: 'J-IMPORTS', confidence: 0.95 },
+		model: { value: 'Subaru BRZ', confidence: 0.95 }
+	},
+	packaging: {
+		subset_number: { value: '3/5', confidence: 0.9 },
+		card_front_logo: { value: 'HOT WHEELS', confidence: 0.9 }
+	},
+	codes: {
+		batch_code: { value: 'JBB55-N9COL G1', confidence: 0.8 }
+	},
+	vehicle: {
+		make: { value: 'Subaru', confidence: 0.9 },
+		base_model: { value: 'BRZ', confidence: 0.9 }
+	},
+	visual: {
+		body_color_primary: { value: 'white', confidence: 0.8 },
+		wheels: { style: { value: '5-spoke', confidence: 0.6 } }
+	}
+};
+
+const loadFixtures = (path) => {
+	if (!path) return { default: DEFAULT_FIXTURE };
+	const parsed = JSON.parse(readFileSync(path, 'utf8'));
+	return parsed.default ? parsed : { default: parsed };
+};
+
+// Deterministic provider for tests and offline demos. A fixture file may be a single
+// analysis object or a map of `sha256(image)` -> analysis with a `default` entry.
+export const createFixtureProvider = ({ fixturePath }) => {
+	const fixtures = loadFixtures(fixturePath);
+
+	return {
+		name: 'fixture',
+		label: 'fixture',
+		billed: false,
+		model: 'fixture',
+		analyze: async ({ images }) => {
+			const digests = images.map((image) =>
+				crypto.createHash('sha256').update(image.buffer).digest('hex')
+			);
+			const match = digests.map((digest) => fixtures[digest]).find(Boolean);
+			const parsed = structuredClone(match ?? fixtures.default);
+
+			return {
+				id: `fixture-${digests.join('').slice(0, 16) || 'empty'}`,
+				model: 'fixture',
+				parsed,
+				outputText: JSON.stringify(parsed)
+			};
+		}
+	};
+};
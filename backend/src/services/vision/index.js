@@ -0,0 +1,35 @@
+import { config } from '../../config.js';
+import { createOpenAIProvider } from './openai.js';
+import { createLocalProvider } from './local.js';
+import { createTesseractProvider } from './tesseract.js';
+import { createFixtureProvider } from './fixture.js';
+
+// Every provider exposes `{ name, label, billed, model, analyze }`, where
+// `analyze({ prompt, schema, images: [{ buffer, contentType }] })` resolves to
+// `{ id, model, parsed, outputText, usage? }`, where `usage.totalTokens` counts
+// against the token budget. Only `billed` providers (a model API, hosted or
+// self-hosted) are checked against and counted in the usage budgets; offline OCR and
+// fixtures are free.
+export const createVisionProvider = (options = config) => {
+	switch (options.visionProvider) {
+		case 'openai':
+			return createOpenAIProvider({ apiKey: options.openaiApiKey, model: options.openaiModel });
+		case 'local':
+			return createLocalProvider({
+				baseURL: options.localVisionBaseUrl,
+				apiKey: options.localVisionApiKey,
+				model: options.localVisionModel
+			});
+		case 'tesseract':
+			return createTesseractProvider({
+				lang: options.tesseractLang,
+				langPath: options.tesseractLangPath
+			});
+		case 'fixture':
+			return createFixtureProvider({ fixturePath: options.visionFixturePath });
+		default:
+			throw new Error(`Unsupported vision provider: ${options.visionProvider}`);
+	}
+};
+
+export const visionProvider = createVisionProvider();
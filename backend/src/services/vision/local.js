@@ -0,0 +1,57 @@
+import OpenAI from 'openai';
+
+import { toDataUrl } from './openai.js';
+
+// Most self-hosted servers (Ollama, LM Studio, vLLM, llama.cpp) only implement the
+// OpenAI chat completions API, so this provider avoids the newer responses API.
+export const createLocalProvider = ({ baseURL, apiKey, model }) => {
+	const client = new OpenAI({ baseURL, apiKey });
+
+	return {
+		name: 'local',
+		label: `local vision (${model})`,
+		billed: true,
+		model,
+		analyze: async ({ prompt, schema, images }) => {
+			const completion = await client.chat.completions.create({
+				model,
+				response_format: {
+					type: 'json_schema',
+					json_schema: {
+						name: 'image_analysis',
+						schema,
+						strict: false
+					}
+				},
+				messages: [
+					{
+						role: 'user',
+						content: [
+							{ type: 'text', text: prompt },
+							...images.map((image) => ({
+								type: 'image_url',
+								image_url: { url: toDataUrl(image) }
+							}))
+						]
+					}
+				]
+			});
+
+			const outputText = completion.choices?.[0]?.message?.content ?? '';
+			let parsed = null;
+			try {
+				parsed = outputText ? JSON.parse(outputText) : null;
+			} catch {
+				parsed = null;
+			}
+
+			return {
+				id: completion.id,
+				model: completion.model ?? model,
+				parsed,
+				outputText,
+				usage: { totalTokens: completion.usage?.total_tokens ?? 0 }
+			};
+		}
+	};
+};
@@ -0,0 +1,83 @@
+import OpenAI from 'openai';
+
+export const toDataUrl = ({ buffer, contentType }) =>
+	`data:${contentType};base64,${buffer.toString('base64')}`;
+
+const parseResponseOutput = (response) => {
+	let parsed =
+		response.output_parsed ??
+		response.output?.flatMap((item) =>
+			item?.content
+				?.map((content) => {
+					if (content?.parsed) return content.parsed;
+					if (typeof content?.text === 'string') {
+						try {
+							return JSON.parse(content.text);
+						} catch {
+							return null;
+						}
+					}
+					return null;
+				})
+				.filter(Boolean) ?? []
+		)?.[0] ??
+		null;
+
+	if (!parsed && response.output_text) {
+		try {
+			parsed = JSON.parse(response.output_text);
+		} catch (error) {
+			parsed = null;
+		}
+	}
+
+	return parsed;
+};
+
+export const createOpenAIProvider = ({ apiKey, model }) => {
+	const openai = new OpenAI({ apiKey });
+
+	return {
+		name: 'openai',
+		label: 'OpenAI vision',
+		billed: true,
+		model,
+		analyze: async ({ prompt, schema, images }) => {
+			const response = await openai.responses.create({
+				model,
+				text: {
+					format: {
+						type: 'json_schema',
+						name: 'image_analysis',
+						schema,
+						strict: false
+					}
+				},
+				input: [
+					{
+						role: 'user',
+						content: [
+							{
+								type: 'input_text',
+								text: prompt
+							},
+							...images.map((image) => ({
+								type: 'input_image',
+								image_url: toDataUrl(image),
+								detail: 'auto'
+							}))
+						]
+					}
+				]
+			});
+
+			return {
+				id: response.id,
+				model,
+				parsed: parseResponseOutput(response),
+				outputText: response.output_text ?? '',
+				usage: { totalTokens: response.usage?.total_tokens ?? 0 }
+			};
+		}
+	};
+};
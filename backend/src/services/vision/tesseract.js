@@ -0,0 +1,49 @@
+import crypto from 'node:crypto';
+import { createWorker } from 'tesseract.js';
+
+// OCR-only provider: it returns detected text and leaves field extraction to the
+// analyzer's regex fallbacks. Point `langPath` at a local tessdata folder to avoid
+// downloading language data on first use.
+export const createTesseractProvider = ({ lang, langPath }) => {
+	let workerPromise = null;
+
+	const getWorker = () => {
+		if (!workerPromise) {
+			workerPromise = createWorker(lang, 1, langPath ? { langPath } : {}).catch((error) => {
+				workerPromise = null;
+				throw error;
+			});
+		}
+		return workerPromise;
+	};
+
+	return {
+		name: 'tesseract',
+		label: 'Tesseract OCR',
+		billed: false,
+		model: `tesseract-${lang}`,
+		analyze: async ({ images }) => {
+			const worker = await getWorker();
+			const lines = [];
+			for (const image of images) {
+				const { data } = await worker.recognize(image.buffer);
+				(data?.text ?? '')
+					.split('\n')
+					.map((line) => line.replace(/\s+/g, ' ').trim())
+					.filter(Boolean)
+					.forEach((line) => lines.push(line));
+			}
+
+			const parsed = { detected_text: Array.from(new Set(lines)) };
+			const hash = crypto.createHash('sha256');
+			images.forEach((image) => hash.update(image.buffer));
+
+			return {
+				id: `tesseract-${hash.digest('hex').slice(0, 16)}`,
+				model: `tesseract-${lang}`,
+				parsed,
+				outputText: JSON.stringify(parsed)
+			};
+		}
+	};
+};
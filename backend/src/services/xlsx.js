@@ -0,0 +1,88 @@
+import { strToU8, zipSync } from 'fflate';
+
+// Deflated ZIP archive of `{ name, data }` entries, enough for an OOXML package.
+const zip = (entries) =>
+	Buffer.from(zipSync(Object.fromEntries(entries.map(({ name, data }) => [name, strToU8(data)]))));
+
+// XML 1.0 has no representation for most control characters, so they are dropped.
+const escapeXml = (value) =>
+	String(value)
+		// eslint-disable-next-line no-control-regex
+		.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+	let name = '';
+	for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+		name = String.fromCharCode(65 + ((value - 1) % 26)) + name;
+	}
+	return name;
+};
+
+// Numbers become numeric cells; everything else is an inline string, which is never
+// evaluated as a formula.
+const cellXml = (value, ref) => {
+	if (value === null || value === undefined || value === '') return '';
+	if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+	return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const sheetXml = (rows) => {
+	const body = rows
+		.map((cells, rowIndex) => {
+			const row = rowIndex + 1;
+			const content = cells.map((value, column) => cellXml(value, `${columnName(column)}${row}`)).join('');
+			return `<row r="${row}">${content}</row>`;
+		})
+		.join('');
+	return (
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+		'<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+		'<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+		`<sheetData>${body}</sheetData></worksheet>`
+	);
+};
+
+// Single-sheet XLSX workbook from rows of cells; the first row is frozen as the header.
+export const formatXlsx = (rows, { sheetName = 'Sheet1' } = {}) =>
+	zip([
+		{
+			name: '[Content_Types].xml',
+			data:
+				'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+				'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+				'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+				'<Default Extension="xml" ContentType="application/xml"/>' +
+				'<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+				'<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+				'</Types>'
+		},
+		{
+			name: '_rels/.rels',
+			data:
+				'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+				'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+				'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+				'</Relationships>'
+		},
+		{
+			name: 'xl/workbook.xml',
+			data:
+				'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+				'<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+				`<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+				'</workbook>'
+		},
+		{
+			name: 'xl/_rels/workbook.xml.rels',
+			data:
+				'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+				'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+				'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+				'</Relationships>'
+		},
+		{ name: 'xl/worksheets/sheet1.xml', data: sheetXml(rows) }
+	]);
@@ -0,0 +1,13 @@
+export const encodeCursor = (key) =>
+	key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null;
+
+export const decodeCursor = (cursor) => {
+	if (!cursor) return undefined;
+	try {
+		return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+	} catch {
+		const error = new Error('Invalid pagination cursor');
+		error.status = 400;
+		throw error;
+	}
+};
@@ -0,0 +1,17 @@
+import { UNKNOWN_VALUE } from '../services/recordModel.js';
+
+const isKnown = (value) => Boolean(value) && value !== UNKNOWN_VALUE;
+
+// UPC + batch code + subset number. Records sharing it are suspected duplicates, so the
+// stores index it; null while any part is unknown.
+export const duplicateKey = (record) => {
+	const parts = [record.codes?.upc, record.codes?.batch_code, record.packaging?.subset_number];
+	return parts.every(isKnown) ? parts.join('|') : null;
+};
+
+// The series, case-folded. Image hashes are only compared within one series, so the
+// stores index it too; null while the series is unknown.
+export const seriesKey = (record) => {
+	const series = record.item?.series;
+	return isKnown(series) ? series.trim().toLowerCase() : null;
+};
@@ -0,0 +1,55 @@
+import { PutCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+
+import { createDynamoClient } from '../dynamo.js';
+import { decodeCursor, encodeCursor } from './cursor.js';
+
+// History table: partition key `record_id` (string), sort key `version` (number).
+// Puts are conditional, so an existing version is never overwritten.
+export const createDynamoHistoryStore = ({ region, table }) => {
+	const dynamo = createDynamoClient(region);
+
+	const query = (recordId, { limit, startKey, afterVersion }) =>
+		dynamo.send(
+			new QueryCommand({
+				TableName: table,
+				KeyConditionExpression:
+					afterVersion === undefined ? 'record_id = :id' : 'record_id = :id AND version > :version',
+				ExpressionAttributeValues: {
+					':id': recordId,
+					...(afterVersion === undefined ? {} : { ':version': afterVersion })
+				},
+				ScanIndexForward: false,
+				Limit: limit,
+				ExclusiveStartKey: startKey
+			})
+		);
+
+	return {
+		name: 'dynamo',
+		append: async (entry) => {
+			await dynamo.send(
+				new PutCommand({
+					TableName: table,
+					Item: entry,
+					ConditionExpression: 'attribute_not_exists(version)'
+				})
+			);
+			return entry;
+		},
+		// Newest first. `afterVersion` returns every newer entry and ignores paging.
+		list: async (recordId, { limit = 50, cursor, afterVersion } = {}) => {
+			if (afterVersion !== undefined) {
+				const items = [];
+				let startKey;
+				do {
+					const result = await query(recordId, { startKey, afterVersion });
+					items.push(...(result.Items ?? []));
+					startKey = result.LastEvaluatedKey;
+				} while (startKey);
+				return { items, nextCursor: null };
+			}
+			const result = await query(recordId, { limit, startKey: decodeCursor(cursor) });
+			return { items: result.Items ?? [], nextCursor: encodeCursor(result.LastEvaluatedKey) };
+		}
+	};
+};
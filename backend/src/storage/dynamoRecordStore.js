@@ -0,0 +1,178 @@
+import { ScanCommand, GetCommand, PutCommand, QueryCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+
+import { createDynamoClient } from '../dynamo.js';
+import { decodeCursor, encodeCursor } from './cursor.js';
+import { versionConflict } from './versionConflict.js';
+import { duplicateKey, seriesKey } from './duplicateKey.js';
+
+const buildFilter = ({ series, batchCode, status, scannedFrom, scannedTo }) => {
+	const clauses = [];
+	const names = {};
+	const values = {};
+
+	if (series) {
+		names['#item'] = 'item';
+		names['#series'] = 'series';
+		values[':series'] = series;
+		clauses.push('#item.#series = :series');
+	}
+	if (batchCode) {
+		names['#codes'] = 'codes';
+		names['#batch'] = 'batch_code';
+		values[':batch'] = batchCode;
+		clauses.push('#codes.#batch = :batch');
+	}
+	if (status) {
+		names['#inventory'] = 'inventory';
+		names['#status'] = 'status';
+		values[':status'] = status;
+		clauses.push('#inventory.#status = :status');
+	}
+	if (scannedFrom || scannedTo) {
+		names['#scan'] = 'scan';
+		names['#scannedAt'] = 'scanned_at';
+	}
+	if (scannedFrom) {
+		values[':scannedFrom'] = new Date(scannedFrom).toISOString();
+		clauses.push('#scan.#scannedAt >= :scannedFrom');
+	}
+	if (scannedTo) {
+		values[':scannedTo'] = new Date(scannedTo).toISOString();
+		clauses.push('#scan.#scannedAt <= :scannedTo');
+	}
+
+	if (!clauses.length) return {};
+	return {
+		FilterExpression: clauses.join(' AND '),
+		ExpressionAttributeNames: names,
+		ExpressionAttributeValues: values
+	};
+};
+
+// Version 0 also matches a missing item and items written before versions existed.
+const versionCondition = (expectedVersion) => ({
+	ConditionExpression:
+		expectedVersion === 0
+			? 'attribute_not_exists(#meta.#version) OR #meta.#version = :expected'
+			: '#meta.#version = :expected',
+	ExpressionAttributeNames: { '#meta': 'meta', '#version': 'version' },
+	ExpressionAttributeValues: { ':expected': expectedVersion }
+});
+
+// Items carry the record's `duplicateKey` and `seriesKey` as top-level `duplicate_key`
+// and `series_key` attributes, the partition keys of the `duplicateIndex` and
+// `seriesIndex` GSIs. They are stripped again on every read.
+const toItem = (record) => {
+	const item = { ...record };
+	const keys = { duplicate_key: duplicateKey(record), series_key: seriesKey(record) };
+	Object.entries(keys).forEach(([attribute, key]) => {
+		if (key) item[attribute] = key;
+	});
+	return item;
+};
+
+const fromItem = (item) => {
+	if (!item) return null;
+	const record = { ...item };
+	delete record.duplicate_key;
+	delete record.series_key;
+	return record;
+};
+
+export const createDynamoRecordStore = ({ region, table, historyTable, duplicateIndex, seriesIndex }) => {
+	const dynamo = createDynamoClient(region);
+
+	const queryIndex = async (indexName, attribute, key) => {
+		const items = [];
+		let startKey;
+		do {
+			const result = await dynamo.send(
+				new QueryCommand({
+					TableName: table,
+					IndexName: indexName,
+					KeyConditionExpression: '#key = :key',
+					ExpressionAttributeNames: { '#key': attribute },
+					ExpressionAttributeValues: { ':key': key },
+					ExclusiveStartKey: startKey
+				})
+			);
+			items.push(...(result.Items ?? []));
+			startKey = result.LastEvaluatedKey;
+		} while (startKey);
+		return items.map(fromItem);
+	};
+
+	return {
+		name: 'dynamo',
+		get: async (id) => {
+			const result = await dynamo.send(
+				new GetCommand({
+					TableName: table,
+					Key: { id }
+				})
+			);
+			return fromItem(result.Item);
+		},
+		put: async (record, { expectedVersion } = {}) => {
+			try {
+				await dynamo.send(
+					new PutCommand({
+						TableName: table,
+						Item: toItem(record),
+						...(expectedVersion !== undefined ? versionCondition(expectedVersion) : {})
+					})
+				);
+			} catch (error) {
+				if (error.name === 'ConditionalCheckFailedException') {
+					throw versionConflict(record.id, expectedVersion);
+				}
+				throw error;
+			}
+			return record;
+		},
+		// Deletes the record and appends its `history` entry in one transaction, only while
+		// the stored version is `expectedVersion` and that history version is still free.
+		delete: async (id, { expectedVersion, history }) => {
+			try {
+				await dynamo.send(
+					new TransactWriteCommand({
+						TransactItems: [
+							{ Delete: { TableName: table, Key: { id }, ...versionCondition(expectedVersion) } },
+							{
+								Put: {
+									TableName: historyTable,
+									Item: history,
+									ConditionExpression: 'attribute_not_exists(version)'
+								}
+							}
+						]
+					})
+				);
+			} catch (error) {
+				const reasons = error.CancellationReasons ?? [];
+				if (reasons.some((reason) => reason?.Code === 'ConditionalCheckFailed')) {
+					throw versionConflict(id, expectedVersion);
+				}
+				throw error;
+			}
+		},
+		findByDuplicateKey: (key) => queryIndex(duplicateIndex, 'duplicate_key', key),
+		findBySeriesKey: (key) => queryIndex(seriesIndex, 'series_key', key),
+		// DynamoDB applies `Limit` before the filter, so a filtered page can hold fewer
+		// than `limit` items while `nextCursor` is still set.
+		list: async ({ limit, cursor, ...filters }) => {
+			const result = await dynamo.send(
+				new ScanCommand({
+					TableName: table,
+					Limit: limit,
+					ExclusiveStartKey: decodeCursor(cursor),
+					...buildFilter(filters)
+				})
+			);
+			return {
+				items: (result.Items ?? []).map(fromItem),
+				nextCursor: encodeCursor(result.LastEvaluatedKey)
+			};
+		}
+	};
+};
@@ -0,0 +1,52 @@
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import { decodeCursor, encodeCursor } from './cursor.js';
+
+// Append-only history for the `file` record store: one JSON line per version in
+// LOCAL_DATA_DIR/history/<record id>.jsonl. Lines are never rewritten.
+export const createFileHistoryStore = ({ rootDir }) => {
+	const historyDir = join(rootDir, 'history');
+	const fileFor = (recordId) => join(historyDir, `${encodeURIComponent(recordId)}.jsonl`);
+	let appendChain = Promise.resolve();
+
+	const readAll = async (recordId) => {
+		try {
+			const raw = await readFile(fileFor(recordId), 'utf8');
+			return raw
+				.split('\n')
+				.filter(Boolean)
+				.map((line) => JSON.parse(line));
+		} catch (error) {
+			if (error.code === 'ENOENT') return [];
+			throw error;
+		}
+	};
+
+	return {
+		name: 'file',
+		append: (entry) => {
+			appendChain = appendChain
+				.catch(() => {})
+				.then(async () => {
+					await mkdir(historyDir, { recursive: true });
+					await appendFile(fileFor(entry.record_id), `${JSON.stringify(entry)}\n`);
+				});
+			return appendChain.then(() => entry);
+		},
+		// Newest first. `afterVersion` returns every newer entry and ignores paging.
+		list: async (recordId, { limit = 50, cursor, afterVersion } = {}) => {
+			const entries = (await readAll(recordId)).sort((a, b) => b.version - a.version);
+			if (afterVersion !== undefined) {
+				return { items: entries.filter((entry) => entry.version > afterVersion), nextCursor: null };
+			}
+			const before = decodeCursor(cursor)?.version;
+			const remaining = entries.filter((entry) => before === undefined || entry.version < before);
+			const items = remaining.slice(0, limit);
+			return {
+				items,
+				nextCursor: remaining.length > limit ? encodeCursor({ version: items[items.length - 1].version }) : null
+			};
+		}
+	};
+};
@@ -0,0 +1,112 @@
+import { join } from 'node:path';
+
+import { decodeCursor, encodeCursor } from './cursor.js';
+import { createJsonFile } from './jsonFile.js';
+import { versionConflict } from './versionConflict.js';
+import { duplicateKey, seriesKey } from './duplicateKey.js';
+
+const matchesFilters = (record, { series, batchCode, status, scannedFrom, scannedTo }) => {
+	if (series && record.item?.series !== series) return false;
+	if (batchCode && record.codes?.batch_code !== batchCode) return false;
+	if (status && record.inventory?.status !== status) return false;
+	const scannedAt = record.scan?.scanned_at ?? '';
+	if (scannedFrom && !(scannedAt >= new Date(scannedFrom).toISOString())) return false;
+	if (scannedTo && !(scannedAt <= new Date(scannedTo).toISOString())) return false;
+	return true;
+};
+
+// JSON-file record store for single-laptop stations. The whole table lives in
+// memory and is rewritten atomically after every change, so it is meant for a
+// single backend process and thousands (not millions) of records.
+export const createFileRecordStore = ({ rootDir, historyStore }) => {
+	const file = createJsonFile(join(rootDir, 'records.json'), () => ({}));
+	let recordsPromise = null;
+
+	const load = () => {
+		if (!recordsPromise) {
+			recordsPromise = file.load().then((raw) => new Map(Object.entries(raw)));
+			recordsPromise.catch(() => {
+				recordsPromise = null;
+			});
+		}
+		return recordsPromise;
+	};
+
+	const persist = (records) => file.save(Object.fromEntries(records));
+
+	return {
+		name: 'file',
+		get: async (id) => {
+			const records = await load();
+			const record = records.get(id);
+			return record ? structuredClone(record) : null;
+		},
+		// With `expectedVersion` the write only happens while the stored record (0 when
+		// there is none) is still at that version.
+		put: async (record, { expectedVersion } = {}) => {
+			const records = await load();
+			const storedVersion = records.get(record.id)?.meta?.version ?? 0;
+			if (expectedVersion !== undefined && storedVersion !== expectedVersion) {
+				throw versionConflict(record.id, expectedVersion);
+			}
+			records.set(record.id, structuredClone(record));
+			await persist(records);
+			return record;
+		},
+		// Deletes the record and appends its `history` entry, only while the stored version
+		// is `expectedVersion`. The record leaves the table before anything is awaited, so
+		// no write slips in between, and comes back when the history cannot be written.
+		delete: async (id, { expectedVersion, history }) => {
+			const records = await load();
+			const existing = records.get(id);
+			if ((existing?.meta?.version ?? 0) !== expectedVersion) {
+				throw versionConflict(id, expectedVersion);
+			}
+			records.delete(id);
+			try {
+				await historyStore.append(history);
+			} catch (error) {
+				if (!records.has(id)) records.set(id, existing);
+				throw error;
+			}
+			await persist(records);
+		},
+		// Both scan the in-memory table; no I/O.
+		findByDuplicateKey: async (key) => {
+			const records = await load();
+			return Array.from(records.values())
+				.filter((record) => duplicateKey(record) === key)
+				.map((record) => structuredClone(record));
+		},
+		findBySeriesKey: async (key) => {
+			const records = await load();
+			return Array.from(records.values())
+				.filter((record) => seriesKey(record) === key)
+				.map((record) => structuredClone(record));
+		},
+		list: async ({ limit, cursor, ...filters }) => {
+			const records = await load();
+			const after = decodeCursor(cursor)?.id;
+			const ids = Array.from(records.keys())
+				.sort()
+				.filter((id) => after === undefined || id > after);
+
+			const items = [];
+			let lastId;
+			for (const id of ids) {
+				if (items.length >= limit) break;
+				lastId = id;
+				const record = records.get(id);
+				if (matchesFilters(record, filters)) {
+					items.push(structuredClone(record));
+				}
+			}
+
+			const hasMore = lastId !== undefined && lastId !== ids[ids.length - 1];
+			return {
+				items,
+				nextCursor: hasMore ? encodeCursor({ id: lastId }) : null
+			};
+		}
+	};
+};
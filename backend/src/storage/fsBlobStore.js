@@ -0,0 +1,116 @@
+import crypto from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve, sep } from 'node:path';
+
+const httpError = (status, message) => {
+	const error = new Error(message);
+	error.status = status;
+	return error;
+};
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+// Stands in for S3 on machines without a cloud account. Upload targets are
+// short-lived signed PUT URLs served by the backend's own `/uploads` route, and
+// objects are only read back through signed GET URLs.
+export const createFsBlobStore = ({ rootDir, publicUrl, secret }) => {
+	const blobDir = join(rootDir, 'blobs');
+	const metaDir = join(rootDir, 'blob-meta');
+
+	const resolveIn = (base, key) => {
+		const path = resolve(base, key);
+		if (!path.startsWith(`${base}${sep}`)) {
+			throw httpError(400, 'Invalid object key');
+		}
+		return path;
+	};
+
+	const sign = (value) => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+	const getUrl = (key) => `${publicUrl}/uploads/${encodeKey(key)}`;
+
+	const createToken = (claims) => {
+		const encoded = Buffer.from(JSON.stringify(claims)).toString('base64url');
+		return `${encoded}.${sign(encoded)}`;
+	};
+
+	// Checks signature, key, operation and expiry; returns the claims.
+	const verifyToken = (key, token, op) => {
+		const [claims, signature] = String(token ?? '').split('.');
+		const expected = claims ? sign(claims) : '';
+		if (
+			!signature ||
+			signature.length !== expected.length ||
+			!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+		) {
+			throw httpError(403, `Invalid ${op === 'get' ? 'download' : 'upload'} token`);
+		}
+		const parsed = JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'));
+		if (parsed.key !== key || parsed.op !== op) {
+			throw httpError(403, 'Token does not match key');
+		}
+		if (parsed.exp < Date.now()) {
+			throw httpError(403, 'Token expired');
+		}
+		return parsed;
+	};
+
+	return {
+		name: 'fs',
+		// Not readable on its own: `/uploads` only serves objects with a signed token.
+		getUrl,
+		getSignedUrl: async (key, ttl) =>
+			`${getUrl(key)}?token=${createToken({ key, op: 'get', exp: Date.now() + ttl * 1000 })}`,
+		createUploadTarget: async ({ key, contentType, metadata = {}, maxBytes, ttl }) => {
+			const token = createToken({ key, op: 'put', contentType, metadata, maxBytes, exp: Date.now() + ttl * 1000 });
+
+			return {
+				url: `${getUrl(key)}?token=${token}`,
+				method: 'PUT',
+				headers: { 'Content-Type': contentType },
+				finalUrl: getUrl(key),
+				expiresIn: ttl,
+				key
+			};
+		},
+		verifyUploadToken: (key, token) => verifyToken(key, token, 'put'),
+		verifyDownloadToken: (key, token) => verifyToken(key, token, 'get'),
+		putObject: async (key, buffer, { contentType, metadata = {} } = {}) => {
+			const blobPath = resolveIn(blobDir, key);
+			const metaPath = resolveIn(metaDir, `${key}.json`);
+			await mkdir(dirname(blobPath), { recursive: true });
+			await mkdir(dirname(metaPath), { recursive: true });
+			await writeFile(blobPath, buffer);
+			await writeFile(metaPath, JSON.stringify({ contentType, metadata }));
+		},
+		getObject: async (key) => {
+			try {
+				const buffer = await readFile(resolveIn(blobDir, key));
+				const meta = await readFile(resolveIn(metaDir, `${key}.json`), 'utf8')
+					.then((raw) => JSON.parse(raw))
+					.catch(() => ({}));
+				return {
+					buffer,
+					contentType: meta.contentType,
+					metadata: meta.metadata ?? {}
+				};
+			} catch (error) {
+				if (error.code === 'ENOENT') {
+					throw httpError(404, 'Object body not found');
+				}
+				throw error;
+			}
+		},
+		getMetadata: async (key) => {
+			try {
+				const meta = JSON.parse(await readFile(resolveIn(metaDir, `${key}.json`), 'utf8'));
+				return meta.metadata ?? {};
+			} catch (error) {
+				if (error.code === 'ENOENT') {
+					throw httpError(404, 'Object not found');
+				}
+				throw error;
+			}
+		}
+	};
+};
@@ -0,0 +1,47 @@
+import { config } from '../config.js';
+import { createS3BlobStore } from './s3BlobStore.js';
+import { createFsBlobStore } from './fsBlobStore.js';
+import { createDynamoRecordStore } from './dynamoRecordStore.js';
+import { createFileRecordStore } from './fileRecordStore.js';
+import { createDynamoHistoryStore } from './dynamoHistoryStore.js';
+import { createFileHistoryStore } from './fileHistoryStore.js';
+
+// Blob stores expose `{ name, getUrl, getSignedUrl, createUploadTarget, getObject, getMetadata }`;
+// the `fs` store also has `verifyUploadToken`, `verifyDownloadToken` and `putObject` for
+// the `/uploads` route.
+export const createBlobStore = (options = config) =>
+	options.blobStore === 'fs'
+		? createFsBlobStore({
+			rootDir: options.localDataDir,
+			publicUrl: options.publicUrl,
+			secret: options.localUploadSecret
+		})
+		: createS3BlobStore({ region: options.awsRegion, bucket: options.bucket });
+
+// History stores expose `{ name, append, list }` over record versions and follow
+// RECORD_STORE.
+export const createHistoryStore = (options = config) =>
+	options.recordStore === 'file'
+		? createFileHistoryStore({ rootDir: options.localDataDir })
+		: createDynamoHistoryStore({ region: options.awsRegion, table: options.historyTable });
+
+// Record stores expose `{ name, get, put, delete, list, findByDuplicateKey, findBySeriesKey }`
+// over canonical records. Given `{ expectedVersion }`, `put` only writes while the stored
+// `meta.version` matches and otherwise throws a VERSION_CONFLICT error (see
+// versionConflict.js); `delete(id, { expectedVersion, history })` always checks it and
+// appends the `history` entry together with the delete. `findByDuplicateKey` and
+// `findBySeriesKey` look records up by `duplicateKey` and `seriesKey`.
+export const createRecordStore = (options = config, historyStore = createHistoryStore(options)) =>
+	options.recordStore === 'file'
+		? createFileRecordStore({ rootDir: options.localDataDir, historyStore })
+		: createDynamoRecordStore({
+			region: options.awsRegion,
+			table: options.dynamoTable,
+			historyTable: options.historyTable,
+			duplicateIndex: options.duplicateIndex,
+			seriesIndex: options.seriesIndex
+		});
+
+export const blobStore = createBlobStore();
+export const historyStore = createHistoryStore();
+export const recordStore = createRecordStore(config, historyStore);
@@ -0,0 +1,37 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// Small helper for the single-process JSON files used by the local stores.
+// Reads are cached after the first load; writes are serialized and atomic.
+export const createJsonFile = (filePath, fallback) => {
+	let loadPromise = null;
+	let writeChain = Promise.resolve();
+
+	const load = () => {
+		if (!loadPromise) {
+			loadPromise = readFile(filePath, 'utf8')
+				.then((raw) => JSON.parse(raw))
+				.catch((error) => {
+					if (error.code === 'ENOENT') return fallback();
+					loadPromise = null;
+					throw error;
+				});
+		}
+		return loadPromise;
+	};
+
+	const save = (value) => {
+		const snapshot = JSON.stringify(value);
+		writeChain = writeChain
+			.catch(() => {})
+			.then(async () => {
+				await mkdir(dirname(filePath), { recursive: true });
+				const tempPath = `${filePath}.${process.pid}.tmp`;
+				await writeFile(tempPath, snapshot);
+				await rename(tempPath, filePath);
+			});
+		return writeChain;
+	};
+
+	return { load, save };
+};
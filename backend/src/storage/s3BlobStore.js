@@ -0,0 +1,85 @@
+import { GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { createPresignedPost } from '@aws-sdk/s3-presigned-post';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+import { createS3Client } from '../s3.js';
+
+const streamToBuffer = async (body) => {
+	if (!body) return Buffer.alloc(0);
+	if (Buffer.isBuffer(body)) return body;
+	if (body instanceof Uint8Array) return Buffer.from(body);
+	if (typeof body.arrayBuffer === 'function') {
+		const arrayBuffer = await body.arrayBuffer();
+		return Buffer.from(arrayBuffer);
+	}
+
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		body.on('data', (chunk) => chunks.push(chunk));
+		body.once('end', () => resolve(Buffer.concat(chunks)));
+		body.once('error', reject);
+	});
+};
+
+export const createS3BlobStore = ({ region, bucket }) => {
+	const client = createS3Client(region);
+
+	const host = `${bucket}.s3.${region}.amazonaws.com`;
+	const getUrl = (key) => `https://${host}/${key}`;
+
+	return {
+		name: 's3',
+		getUrl,
+		// A presigned GET for private buckets.
+		getSignedUrl: (key, ttl) =>
+			getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: ttl }),
+		createUploadTarget: async ({ key, contentType, metadata = {}, maxBytes, ttl }) => {
+			const { url, fields } = await createPresignedPost(client, {
+				Bucket: bucket,
+				Key: key,
+				Expires: ttl,
+				Conditions: [
+					['content-length-range', 0, maxBytes],
+					['starts-with', '$Content-Type', contentType.split('/')[0]],
+					['starts-with', '$key', key.replace(/\.[^.]+$/, '')]
+				],
+				Fields: {
+					'Content-Type': contentType,
+					...Object.fromEntries(
+						Object.entries(metadata).map(([name, value]) => [`x-amz-meta-${name}`, String(value)])
+					)
+				}
+			});
+
+			return {
+				url,
+				fields,
+				finalUrl: getUrl(key),
+				expiresIn: ttl,
+				key
+			};
+		},
+		getObject: async (key) => {
+			const object = await client.send(
+				new GetObjectCommand({
+					Bucket: bucket,
+					Key: key
+				})
+			);
+			if (!object.Body) {
+				const error = new Error('Object body not found');
+				error.status = 404;
+				throw error;
+			}
+			return {
+				buffer: await streamToBuffer(object.Body),
+				contentType: object.ContentType,
+				metadata: object.Metadata ?? {}
+			};
+		},
+		getMetadata: async (key) => {
+			const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+			return head.Metadata ?? {};
+		}
+	};
+};
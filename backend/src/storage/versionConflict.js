@@ -0,0 +1,10 @@
+export const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+// Thrown by a record store's `put` when the stored `meta.version` is no longer the one
+// the writer read: another write got in between.
+export const versionConflict = (id, expectedVersion) => {
+	const error = new Error(`Record ${id} changed since version ${expectedVersion}`);
+	error.code = VERSION_CONFLICT;
+	error.status = 409;
+	return error;
+};
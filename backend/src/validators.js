@@ -1,5 +1,8 @@
 import { z } from 'zod';
 import { config } from './config.js';
+import { validateGtin } from './services/barcodes.js';
+import { ANALYSIS_FIELDS } from './services/recordAnalysis.js';
+import { DEFAULT_EXPORT_COLUMNS, EXPORT_COLUMNS, EXPORT_FORMATS } from './services/export.js';
 
 const timestampSchema = z
 	.union([z.number().int().nonnegative(), z.string().min(1)])
@@ -39,5 +42,267 @@ export const analyzeRequestSchema = z.object({
 export const uploadCompleteSchema = analyzeRequestSchema.extend({
 	camera: z.number().int().positive(),
 	contentType: z.string().min(1),
-	timestamp: timestampSchema.optional()
+	timestamp: timestampSchema.optional(),
+	cameraCount: z.number().int().positive().max(16).optional()
+});
+
+// Client-chosen key that makes presign_request, upload_complete and analyze_request
+// safe to resend.
+export const idempotencyKeySchema = z.string().min(1).max(200);
+
+// WebSocket channels: scan IDs and station uids ("anonymous" for the anonymous
+// identity). `ownStation` adds the sender's own station.
+const channelsSchema = z.object({
+	scans: z.array(z.string().min(1)).max(200).default([]),
+	stations: z.array(z.string().min(1).max(128)).max(20).default([]),
+	ownStation: z.boolean().default(false)
+});
+
+// `after` replays the retained events newer than that sequence number; `stream` is the
+// server stream the number came from.
+export const subscribeSchema = channelsSchema.extend({
+	after: z.number().int().nonnegative().optional(),
+	stream: z.string().min(1).max(64).optional()
+});
+
+export const unsubscribeSchema = channelsSchema;
+
+const isoDateSchema = z
+	.string()
+	.min(1)
+	.refine((value) => !Number.isNaN(Date.parse(value)), 'must be an ISO 8601 date');
+
+export const recordQuerySchema = z.object({
+	limit: z.coerce.number().int().min(1).max(200).default(50),
+	cursor: z.string().min(1).optional(),
+	series: z.string().min(1).optional(),
+	batchCode: z.string().min(1).optional(),
+	status: z.string().min(1).optional(),
+	scannedFrom: isoDateSchema.optional(),
+	scannedTo: isoDateSchema.optional()
+});
+
+// The listing filters plus the output: `columns` is a comma-separated, ordered list.
+export const recordExportQuerySchema = recordQuerySchema.omit({ limit: true, cursor: true }).extend({
+	format: z.enum(Object.keys(EXPORT_FORMATS)).default('csv'),
+	columns: z
+		.string()
+		.optional()
+		.transform((value) =>
+			value
+				? value
+					.split(',')
+					.map((column) => column.trim())
+					.filter(Boolean)
+				: DEFAULT_EXPORT_COLUMNS
+		)
+		.superRefine((columns, ctx) => {
+			const unknown = columns.filter((column) => !EXPORT_COLUMNS.includes(column));
+			if (unknown.length) {
+				ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Unknown columns: ${unknown.join(', ')}` });
+			}
+			if (!columns.length) {
+				ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Select at least one column' });
+			}
+		}),
+	mediaUrls: z.enum(['signed', 'public']).default(config.exportMediaUrls)
+});
+
+const text = z.string().trim();
+const textList = z.array(z.string().trim());
+
+// codes.upc is the reconciliation key, so edits must pass the UPC-A/EAN-13/EAN-8 check digit.
+const upcText = text.transform((value, ctx) => {
+	if (value === '' || value.toUpperCase() === 'UNKNOWN') return value;
+	const result = validateGtin(value);
+	if (!result.valid) {
+		ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid UPC/EAN: ${result.reason}` });
+		return z.NEVER;
+	}
+	return result.code;
+});
+
+export const recordPatchSchema = z
+	.object({
+		item: z
+			.object({
+				line: text,
+				series: text,
+				model: text,
+				description: text
+			})
+			.partial()
+			.strict(),
+		packaging: z
+			.object({
+				global_assortment_number: text,
+				subset_number: text,
+				guarantee_badge: text,
+				card_front_logo: text
+			})
+			.partial()
+			.strict(),
+		codes: z
+			.object({
+				upc: upcText,
+				assortment: text,
+				internal_code: text,
+				batch_code: text,
+				country_of_origin: text,
+				region: text
+			})
+			.partial()
+			.strict(),
+		branding: z
+			.object({
+				brand: text,
+				websites: textList
+			})
+			.partial()
+			.strict(),
+		compliance: z
+			.object({
+				age_warning: text,
+				standards: textList,
+				recycling: text,
+				warranty: text,
+				warnings: textList
+			})
+			.partial()
+			.strict(),
+		vehicle: z
+			.object({
+				make: text,
+				base_model: text,
+				condition: text
+			})
+			.partial()
+			.strict(),
+		visual: z
+			.object({
+				body_color_primary: z
+					.object({
+						norm: text,
+						raw: text,
+						confidence: z.number().min(0).max(1),
+						source: text
+					})
+					.partial()
+					.strict(),
+				body_color_secondary: textList,
+				graphics: z
+					.object({
+						style: text,
+						text_elements: textList,
+						locations: textList
+					})
+					.partial()
+					.strict(),
+				wheels: z
+					.object({
+						style: text,
+						rim_color: text,
+						tire_color: text,
+						notes: text
+					})
+					.partial()
+					.strict()
+			})
+			.partial()
+			.strict(),
+		inventory: z
+			.object({
+				location: text,
+				status: text,
+				owner: text
+			})
+			.partial()
+			.strict(),
+		// `true` locks an analysis field against re-analysis, `false` unlocks it.
+		locks: z
+			.record(z.boolean())
+			.refine(
+				(locks) => Object.keys(locks).every((path) => ANALYSIS_FIELDS.some((field) => field.path === path)),
+				'locks may only name analysis fields'
+			)
+	})
+	.partial()
+	.strict()
+	.refine((patch) => Object.keys(patch).length > 0, 'patch must change at least one field group');
+
+export const recordHistoryQuerySchema = z.object({
+	limit: z.coerce.number().int().min(1).max(200).default(50),
+	cursor: z.string().min(1).optional()
+});
+
+export const recordRevertSchema = z.object({
+	version: z.number().int().min(1)
+});
+
+export const jobQuerySchema = z.object({
+	status: z.enum(['pending', 'running', 'completed', 'dead']).optional(),
+	scan: z.string().min(1).optional()
+});
+
+export const usageQuerySchema = z.object({
+	days: z.coerce.number().int().min(1).max(400).default(31)
+});
+
+const aliasList = z
+	.union([z.array(z.string()), z.string()])
+	.optional()
+	.transform((value) =>
+		(Array.isArray(value) ? value : (value ?? '').split('|')).map((alias) => alias.trim()).filter(Boolean)
+	);
+
+export const catalogEntrySchema = z.object({
+	line: z.string().trim().default(''),
+	series: z.string().trim().min(1),
+	model: z.string().trim().default(''),
+	subset_number: z.string().trim().default(''),
+	aliases: aliasList
+});
+
+export const catalogReviewQuerySchema = z.object({
+	status: z.enum(['open', 'resolved', 'dismissed']).optional()
+});
+
+export const catalogResolveSchema = z.object({
+	canonical: z.string().trim().min(1),
+	series: z.string().trim().min(1).optional()
+});
+
+export const listingTemplatesSchema = z.object({
+	title: z.string().max(500),
+	description: z.string().max(10000),
+	specifics: z.record(z.string().max(500)),
+	photo_order: z.array(z.string().min(1)).max(16),
+	category: z.string().max(50),
+	condition_id: z.string().max(20),
+	copy_instructions: z.string().max(2000)
+});
+
+export const listingGenerateSchema = z.object({
+	ids: z.array(z.string().min(1)).min(1).max(200),
+	assist: z.boolean().default(false),
+	// Unsaved templates, to preview edits before saving them.
+	templates: listingTemplatesSchema.optional(),
+	mediaUrls: z.enum(['signed', 'public']).default(config.exportMediaUrls)
+});
+
+export const listingCsvSchema = z.object({
+	listings: z
+		.array(
+			z.object({
+				id: z.string().min(1),
+				title: z.string().min(1).max(80),
+				description: z.string(),
+				specifics: z.record(z.string()).default({}),
+				photos: z.array(z.string().url()).max(24).default([]),
+				category: z.string().default(''),
+				condition_id: z.string().default('')
+			})
+		)
+		.min(1)
+		.max(1000)
 });
@@ -1,22 +1,65 @@
 import { WebSocketServer, WebSocket } from 'ws';
 import crypto from 'node:crypto';
-import { createPresignedPost } from '@aws-sdk/s3-presigned-post';
 
 import { config } from './config.js';
-import { s3Client } from './s3.js';
-import { analyzeAndStore } from './services/analyzer.js';
-import { buildKey, uploadRequestSchema, uploadCompleteSchema, analyzeRequestSchema } from './validators.js';
+import { blobStore, recordStore } from './storage/index.js';
+import { analysisQueue, findUploadJob, jobRequestIds, submitUpload } from './services/analysisQueue.js';
+import {
+	buildKey,
+	uploadRequestSchema,
+	uploadCompleteSchema,
+	analyzeRequestSchema,
+	subscribeSchema,
+	unsubscribeSchema,
+	idempotencyKeySchema
+} from './validators.js';
+import { hasRole, identifyRequest } from './services/users.js';
+import { usage } from './services/usage.js';
+import { visionProvider } from './services/vision/index.js';
+import { createIdempotencyCache } from './services/idempotency.js';
 import { neonLog, shorten } from './logger.js';
 
+// Minimum role per message type; see ROLES in services/users.js.
+const MESSAGE_ROLES = {
+	presign_request: 'scanner',
+	upload_complete: 'scanner',
+	analyze_request: 'reviewer',
+	subscribe: 'scanner',
+	unsubscribe: 'scanner'
+};
+
+const forbidden = (message) => {
+	const error = new Error(message);
+	error.status = 403;
+	return error;
+};
+
+// Custom prompts change what the model is asked, so only admins may send one.
+const assertPromptAllowed = (socket, { prompt }) => {
+	if (prompt && !hasRole(socket.identity, 'admin')) {
+		throw forbidden('Only admins may send a custom prompt');
+	}
+};
+
+// Analysis may only read objects that belong to the scan: ones presigned for it
+// (`scan` in the object metadata) or already listed in its record's media. Without
+// this a client could point analysis at any object in the bucket.
+const assertKeyBelongsToScan = async ({ key, scan }) => {
+	const metadata = await blobStore.getMetadata(key).catch(() => null);
+	if (metadata?.scan === scan) return;
+	const record = await recordStore.get(scan).catch(() => null);
+	if ((record?.media ?? []).some((media) => media.s3_key === key)) return;
+	throw forbidden(`Key ${shorten(key, 48)} does not belong to scan ${scan}`);
+};
+
 const operations = new Map();
 const MAX_OPERATIONS = 50;
 const OPERATION_TTL_MS = 1000 * 60 * 15;
 
-const randomSuffix = () => crypto.randomBytes(4).toString('hex');
-
 const pruneOperations = () => {
 	const cutoff = Date.now() - OPERATION_TTL_MS;
 	for (const [key, entry] of operations) {
+		if (analysisQueue.isActive(key)) continue;
 		if (entry.updatedAt < cutoff || operations.size > MAX_OPERATIONS * 2) {
 			operations.delete(key);
 		}
@@ -26,7 +69,13 @@ const pruneOperations = () => {
 const recordOperationEvent = (scan, eventPayload) => {
 	if (!scan) return;
 	pruneOperations();
-	const entry = operations.get(scan) ?? { scan, events: [], status: 'pending', updatedAt: Date.now() };
+	const entry = operations.get(scan) ?? {
+		scan,
+		station: eventPayload.station,
+		events: [],
+		status: 'pending',
+		updatedAt: Date.now()
+	};
 	entry.events.push(eventPayload);
 	entry.updatedAt = Date.now();
 	entry.status = eventPayload.event?.includes('error') ? 'error' : entry.status;
@@ -43,60 +92,423 @@ const sendJSON = (socket, payload) => {
 	}
 };
 
-const sendStatus = (socket, { requestId, scan, fileName, event, message, data = {} }) => {
-	const payload = {
-		type: 'status',
-		requestId,
-		scan,
-		fileName,
-		event,
-		message,
-		data,
-		timestamp: new Date().toISOString()
-	};
-	if (scan) {
-		recordOperationEvent(scan, payload);
+// A station is an identity uid; anonymous sockets share one station.
+const stationId = (uid) => uid || 'anonymous';
+
+// Sockets subscribe to channels: `scan:<id>` for one scan and `station:<uid>` for
+// every scan a station works on. Senders are subscribed to the scans they upload.
+const scanChannel = (scan) => `scan:${scan}`;
+const stationChannel = (station) => `station:${station}`;
+
+const channelSubscribers = new Map();
+
+const subscribe = (socket, channel) => {
+	const sockets = channelSubscribers.get(channel) ?? new Set();
+	sockets.add(socket);
+	channelSubscribers.set(channel, sockets);
+	socket.channels.add(channel);
+};
+
+const unsubscribe = (socket, channel) => {
+	const sockets = channelSubscribers.get(channel);
+	sockets?.delete(socket);
+	if (!sockets?.size) {
+		channelSubscribers.delete(channel);
 	}
-	sendJSON(socket, payload);
+	socket.channels.delete(channel);
+};
+
+const unsubscribeAll = (socket) => {
+	[...socket.channels].forEach((channel) => unsubscribe(socket, channel));
+};
+
+// Stations that presigned, uploaded or analyzed each scan, newest last. Scanners may
+// only watch those scans; any other scan needs the reviewer role.
+const scanStations = new Map();
+const MAX_SCAN_STATIONS = 5000;
+
+const noteScanStation = (scan, station) => {
+	if (!scan) return;
+	const stations = scanStations.get(scan) ?? new Set();
+	scanStations.delete(scan);
+	scanStations.set(scan, stations.add(stationId(station)));
+	if (scanStations.size > MAX_SCAN_STATIONS) {
+		scanStations.delete(scanStations.keys().next().value);
+	}
+};
+
+// Subscribes the sender of a request to the scan it works on.
+const joinScan = (socket, scan) => {
+	noteScanStation(scan, socket.identity.uid);
+	subscribe(socket, scanChannel(scan));
+};
+
+const broadcast = (scan, payload) => {
+	for (const socket of channelSubscribers.get(scanChannel(scan)) ?? []) {
+		sendJSON(socket, payload);
+	}
+};
+
+const eventChannels = ({ scan, station }) => [scanChannel(scan), stationChannel(station)];
+
+// Every published status gets a sequence number, and the newest EVENT_LOG_SIZE are kept
+// so a reconnecting client can ask for what it missed. STREAM_ID changes on restart,
+// when the numbers start over.
+const EVENT_LOG_SIZE = 1000;
+const STREAM_ID = crypto.randomUUID();
+const eventLog = [];
+let lastSeq = 0;
+
+const appendEvent = (payload) => {
+	lastSeq += 1;
+	const event = { ...payload, seq: lastSeq };
+	eventLog.push(event);
+	if (eventLog.length > EVENT_LOG_SIZE) eventLog.shift();
+	return event;
+};
+
+const buildStatus = ({ requestId, scan, station, fileName, event, message, data = {} }) => ({
+	type: 'status',
+	requestId,
+	scan,
+	station: stationId(station),
+	fileName,
+	event,
+	message,
+	data,
+	timestamp: new Date().toISOString()
+});
+
+// Status events go to every socket subscribed to the scan or to its station, not just
+// the sender, so progress keeps flowing after a reconnect or to a second screen.
+const publishStatus = (status) => {
+	if (!status.scan) return null;
+	const payload = appendEvent(buildStatus(status));
+	recordOperationEvent(payload.scan, payload);
+	const sockets = new Set(eventChannels(payload).flatMap((channel) => [...(channelSubscribers.get(channel) ?? [])]));
+	sockets.forEach((socket) => sendJSON(socket, payload));
+	return payload;
+};
+
+// Retained events on any of `channels` after sequence number `after`. Numbers from an
+// earlier stream mean nothing now, so everything retained is replayed; `gap` reports
+// that events after `after` have already been dropped from the log.
+const replayEvents = (channels, { after, stream }) => {
+	const reset = Boolean(stream) && stream !== STREAM_ID;
+	const from = reset ? 0 : after;
+	const gap = !reset && eventLog.length > 0 && eventLog[0].seq > from + 1;
+	const events = eventLog.filter(
+		(event) => event.seq > from && eventChannels(event).some((channel) => channels.includes(channel))
+	);
+	return { events, reset, gap };
 };
 
 const sendError = (socket, { requestId, error, scan }) => {
 	const message = error instanceof Error ? error.message : String(error);
-	sendStatus(socket, {
+	const payload = buildStatus({
 		requestId,
 		scan,
+		station: socket.identity?.uid,
 		event: 'error',
 		message,
 		data: {}
 	});
+	if (scan) {
+		recordOperationEvent(scan, payload);
+	}
+	sendJSON(socket, payload);
 	sendJSON(socket, {
 		type: 'error',
 		requestId,
-		error: { message }
+		error: error?.retryAfterMs ? { message, retryAfterMs: error.retryAfterMs } : { message }
+	});
+};
+
+const IDEMPOTENT_TYPES = ['presign_request', 'upload_complete', 'analyze_request'];
+const idempotency = createIdempotencyCache({ ttlMs: config.idempotencyTtlMs });
+
+// Keys are per station and message type, so two stations cannot collide.
+const idempotencyKeyOf = (socket, type, key) =>
+	IDEMPOTENT_TYPES.includes(type) && key !== undefined
+		? `${stationId(socket.identity.uid)}:${type}:${idempotencyKeySchema.parse(key)}`
+		: null;
+
+// Answers a resent request from its first run: the stored response, or, while that run
+// is still going, its acknowledgement now and the response once it exists. Returns
+// false for a key seen for the first time.
+const replayIdempotent = (socket, key, { requestId, scan }) => {
+	const entry = idempotency.get(key);
+	if (!entry) return false;
+	if (scan) joinScan(socket, scan);
+	neonLog('WS', 'success', `idempotent replay ${shorten(key, 48)} ${entry.response ? 'cached' : 'pending'}`);
+	if (entry.response) {
+		sendJSON(socket, { ...entry.response, requestId });
+		return true;
+	}
+	entry.waiters.push({ socket, requestId });
+	if (entry.ack) sendJSON(socket, { ...entry.ack, requestId });
+	return true;
+};
+
+const settleIdempotent = (key, response, options) => {
+	idempotency.complete(key, response, options).forEach(({ socket, requestId }) => {
+		sendJSON(socket, { ...response, requestId });
+	});
+};
+
+const failIdempotent = (key, message) => {
+	idempotency.fail(key).forEach(({ socket, requestId }) => {
+		sendJSON(socket, { type: 'error', requestId, error: { message } });
+	});
+};
+
+// Remembers the queued job of a new upload_complete / analyze_request; the `analysis.queued`
+// status is what a resend receives until the analysis ends.
+const trackIdempotentJob = (key, job, queuedStatus) => {
+	const entry = key ? idempotency.get(key) : null;
+	if (!entry) return;
+	entry.jobId = job.id;
+	entry.ack = { ...queuedStatus, seq: undefined };
+	entry.waiters.forEach(({ socket, requestId }) => sendJSON(socket, { ...entry.ack, requestId }));
+};
+
+// Answers an upload_complete whose key the cache no longer knows (after a restart, or on
+// another instance) but the persisted queue does: a finished job answers from the stored
+// record, an unfinished one is acknowledged again and its result follows.
+const resumeUpload = async (socket, key, { job, waitingFor }, { requestId, scan }) => {
+	neonLog('WS', 'success', `idempotent replay ${shorten(key, 48)} job=${job.status}`);
+	idempotency.get(key)?.waiters.push({ socket, requestId });
+	if (job.status === 'completed') {
+		const keys = job.payload?.images?.map((image) => image.key) ?? [job.payload?.key];
+		const record = await recordStore.get(scan);
+		settleIdempotent(key, { type: 'analysis_result', data: { id: scan, scan, key: keys[0], keys, record } });
+		return;
+	}
+	const message = waitingFor
+		? `Waiting for ${waitingFor} more camera image(s) before analysis`
+		: 'Upload queued for analysis';
+	trackIdempotentJob(key, job, buildStatus(jobStatus(job, 'analysis.queued', message, { waitingFor })));
+};
+
+const RATE_WINDOW_MS = 60 * 1000;
+const stationRequests = new Map();
+
+// Sliding one-minute windows of model-triggering messages, per socket and per
+// station (identity uid). Returns the limit that was hit, or null after counting
+// the request against both.
+const takeRateSlot = (socket) => {
+	const now = Date.now();
+	const station = socket.identity.uid || 'anonymous';
+	const stationTimes = stationRequests.get(station) ?? [];
+	stationRequests.set(station, stationTimes);
+	const windows = [
+		{ scope: 'connection', times: socket.requestTimes, limit: config.rateLimitPerConnection },
+		{ scope: 'station', times: stationTimes, limit: config.rateLimitPerStation }
+	];
+	for (const { times } of windows) {
+		while (times.length && times[0] <= now - RATE_WINDOW_MS) times.shift();
+	}
+	const hit = windows.find(({ times, limit }) => limit > 0 && times.length >= limit);
+	if (hit) {
+		return { scope: hit.scope, limit: hit.limit, retryAfterMs: hit.times[0] + RATE_WINDOW_MS - now };
+	}
+	windows.forEach(({ times }) => times.push(now));
+	return null;
+};
+
+const tooManyRequests = (message, retryAfterMs) => {
+	const error = new Error(message);
+	error.status = 429;
+	error.retryAfterMs = retryAfterMs;
+	return error;
+};
+
+// Runs before a message that leads to a model call. Rate limits always refuse; an
+// exhausted budget (billed providers only) refuses with BUDGET_ACTION=refuse and otherwise lets the job
+// queue, where it waits for the reset. Both announce `analysis.budget.exceeded`.
+const enforceLimits = async (socket, { requestId, scan, fileName }) => {
+	const rate = takeRateSlot(socket);
+	if (rate) {
+		const message = `Rate limit of ${rate.limit} analysis requests per minute per ${rate.scope} reached`;
+		publishStatus({
+			requestId,
+			scan,
+			station: socket.identity.uid,
+			fileName,
+			event: 'analysis.budget.exceeded',
+			message,
+			data: { reason: 'rate_limit', ...rate }
+		});
+		neonLog('WS', 'fail', `rate limit ${rate.scope} uid=${socket.identity.uid || 'anonymous'}`);
+		throw tooManyRequests(`${message}; retry in ${Math.ceil(rate.retryAfterMs / 1000)}s`, rate.retryAfterMs);
+	}
+
+	if (!visionProvider.billed) return;
+	const budget = await usage.check();
+	if (!budget.exceeded.length) return;
+	const refuse = config.budgetAction === 'refuse';
+	const resetsAt = new Date(budget.resetsAt).toISOString();
+	const message = refuse
+		? `Model budget exceeded until ${resetsAt}`
+		: `Model budget exceeded; analysis is queued until ${resetsAt}`;
+	publishStatus({
+		requestId,
+		scan,
+		station: socket.identity.uid,
+		fileName,
+		event: 'analysis.budget.exceeded',
+		message,
+		data: { reason: 'budget', exceeded: budget.exceeded, resetsAt, action: config.budgetAction }
 	});
+	if (refuse) {
+		throw tooManyRequests(message);
+	}
 };
 
-const buildFinalUrl = (key) =>
-	`https://${config.bucket}.s3.${config.awsRegion}.amazonaws.com/${key}`;
+// Scan channels to subscribe to. Scanners may only watch the scans their station has
+// worked on; other scans need the reviewer role.
+const resolveScans = (socket, { scans }) => {
+	if (hasRole(socket.identity, 'reviewer')) return scans;
+	const own = stationId(socket.identity.uid);
+	if (scans.some((scan) => !scanStations.get(scan)?.has(own))) {
+		throw forbidden("Watching another station's scan requires the reviewer role");
+	}
+	return scans;
+};
+
+// Station channels to subscribe to. Scanners may only watch their own station; a second
+// screen watching another station needs the reviewer role.
+const resolveStations = (socket, { stations, ownStation }) => {
+	const own = stationId(socket.identity.uid);
+	const requested = [...new Set([...stations, ...(ownStation ? [own] : [])])];
+	if (requested.some((station) => station !== own) && !hasRole(socket.identity, 'reviewer')) {
+		throw forbidden('Watching another station requires the reviewer role');
+	}
+	return requested;
+};
+
+const jobStatus = (job, event, message, data = {}) => ({
+	requestId: job.requestId,
+	scan: job.scan,
+	station: job.payload?.owner ?? job.payload?.images?.[0]?.owner,
+	fileName: job.payload?.fileName,
+	event,
+	message,
+	data: {
+		...data,
+		key: job.payload?.key,
+		keys: job.payload?.images?.map((image) => image.key),
+		jobId: job.id
+	}
+});
+
+// Rebuild the reconnect snapshot and the scan owners from persisted jobs so they
+// survive restarts.
+const seedOperations = () => {
+	const jobs = analysisQueue.list().sort((a, b) => a.updatedAt - b.updatedAt);
+	jobs.forEach((job) => noteScanStation(job.scan, jobStatus(job).station));
+	jobs
+		.slice(-MAX_OPERATIONS)
+		.forEach((job) => {
+			(job.events ?? []).forEach((entry) => {
+				recordOperationEvent(
+					job.scan,
+					appendEvent({
+						...buildStatus(jobStatus(job, entry.event, entry.message, entry.data)),
+						timestamp: entry.timestamp
+					})
+				);
+			});
+		});
+};
+
+const attachQueueListeners = () => {
+	analysisQueue.on('status', ({ job, event, message, data }) => {
+		publishStatus(jobStatus(job, event, message, data));
+	});
+
+	analysisQueue.on('completed', ({ job, result }) => {
+		jobRequestIds(job).forEach((requestId) => {
+			broadcast(job.scan, {
+				type: 'analysis_result',
+				requestId,
+				data: result
+			});
+		});
+		idempotency.forJob(job.id).forEach((entry) => {
+			settleIdempotent(entry.key, { type: 'analysis_result', data: result });
+		});
+	});
+
+	analysisQueue.on('failed', ({ job, error, willRetry }) => {
+		const message = error instanceof Error ? error.message : String(error);
+		if (willRetry) {
+			publishStatus(
+				jobStatus(job, 'analysis.retry.scheduled', `Analysis failed, retrying (attempt ${job.attempts} of ${job.maxAttempts})`, {
+					runAt: new Date(job.runAt).toISOString(),
+					reason: message
+				})
+			);
+			return;
+		}
+		publishStatus(jobStatus(job, 'analysis.dead_letter.error', `Analysis failed permanently: ${message}`));
+		jobRequestIds(job).forEach((requestId) => {
+			broadcast(job.scan, {
+				type: 'error',
+				requestId,
+				error: { message }
+			});
+		});
+		idempotency.forJob(job.id).forEach((entry) => failIdempotent(entry.key, message));
+	});
+};
+
+// Rejects the upgrade with 401 unless the request carries a valid token (see
+// `identifyRequest`); the identity is kept on the socket for stamping uploads.
+const verifyClient = ({ req }, done) => {
+	identifyRequest(req)
+		.then((identity) => {
+			req.identity = identity;
+			done(true);
+		})
+		.catch((error) => {
+			neonLog('AUTH', 'fail', `ws upgrade ${error.message ?? error}`);
+			done(false, error.status ?? 500, error.status === 401 ? 'Unauthorized' : 'Internal Server Error');
+		});
+};
 
 export const initializeWebSocket = (server) => {
-	const wss = new WebSocketServer({ server, path: '/ws' });
+	const wss = new WebSocketServer({ server, path: '/ws', verifyClient });
+
+	seedOperations();
+	attachQueueListeners();
 
 	const heartbeat = (socket) => {
 		socket.isAlive = true;
 	};
 
-	wss.on('connection', (socket) => {
+	wss.on('connection', (socket, req) => {
 		socket.isAlive = true;
-		neonLog('WS', 'success', 'client connected');
+		socket.channels = new Set();
+		socket.requestTimes = [];
+		socket.identity = req.identity;
+		const owner = socket.identity.uid;
+		const who = owner ? `${socket.identity.kind}=${owner}` : 'anonymous';
+		neonLog('WS', 'success', `client connected ${who} role=${socket.identity.role}`);
 
 		sendJSON(socket, {
 			type: 'ready',
+			identity: socket.identity,
+			station: stationId(owner),
+			stream: STREAM_ID,
+			seq: lastSeq,
+			maxUploadBytes: config.maxUploadBytes,
 			timestamp: new Date().toISOString()
 		});
 
-		// Provide recent operations snapshot for resilience.
+		// Recent operations of this station, for clients that do not subscribe with replay.
 		const snapshot = Array.from(operations.values())
+			.filter((entry) => entry.station === stationId(owner))
 			.sort((a, b) => b.updatedAt - a.updatedAt)
 			.slice(0, MAX_OPERATIONS);
 		if (snapshot.length) {
@@ -129,53 +541,59 @@ export const initializeWebSocket = (server) => {
 				return;
 			}
 
+			let idempotencyKey = null;
 			try {
+				const role = MESSAGE_ROLES[type];
+				if (role && !hasRole(socket.identity, role)) {
+					throw forbidden(`${type} requires the ${role} role`);
+				}
+
+				idempotencyKey = idempotencyKeyOf(socket, type, message.idempotencyKey);
+				if (idempotencyKey) {
+					if (replayIdempotent(socket, idempotencyKey, { requestId, scan: payload?.scan })) return;
+					idempotency.begin(idempotencyKey);
+				}
+
 				switch (type) {
 					case 'presign_request': {
 						const data = uploadRequestSchema.parse(payload);
 						const keyBase = buildKey(data);
 						const key = keyBase.replace(/\.(png|jpg|jpeg|gif|webp)$/i, (match) => match.toLowerCase());
+						const existing = await blobStore.getMetadata(key).catch(() => null);
+						if (existing && existing.scan !== data.scan) {
+							throw forbidden(`Key ${shorten(key, 48)} already belongs to another scan`);
+						}
 
-						sendStatus(socket, {
+						joinScan(socket, data.scan);
+						publishStatus({
 							requestId,
 							scan: data.scan,
+							station: owner,
 							fileName: data.fileName,
 							event: 'presign.started',
-							message: `Generating S3 upload for ${shorten(key, 48)}`,
+							message: `Generating upload target for ${shorten(key, 48)}`,
 							data: { key }
 						});
 
 						const ttl = Math.max(1, Math.min(config.presignTtl, 900));
-						const maxSize = config.maxUploadBytes;
-						const { url, fields } = await createPresignedPost(s3Client, {
-							Bucket: config.bucket,
-							Key: key,
-							Expires: ttl,
-							Conditions: [
-								['content-length-range', 0, maxSize],
-								['starts-with', '$Content-Type', data.contentType.split('/')[0]],
-								['starts-with', '$key', key.replace(/\.[^.]+$/, '')]
-							],
-							Fields: {
-								'Content-Type': data.contentType,
-								'x-amz-meta-scan': data.scan,
-								'x-amz-meta-camera': String(data.camera),
-								'x-amz-meta-timestamp': String(data.timestamp ?? Date.now()),
-								'x-amz-meta-request-id': randomSuffix()
+						const responsePayload = await blobStore.createUploadTarget({
+							key,
+							contentType: data.contentType,
+							maxBytes: config.maxUploadBytes,
+							ttl,
+							metadata: {
+								scan: data.scan,
+								camera: data.camera,
+								timestamp: data.timestamp ?? Date.now(),
+								'request-id': requestId,
+								...(owner ? { owner } : {})
 							}
 						});
 
-						const responsePayload = {
-							url,
-							fields,
-							finalUrl: buildFinalUrl(key),
-							expiresIn: ttl,
-							key
-						};
-
-						sendStatus(socket, {
+						publishStatus({
 							requestId,
 							scan: data.scan,
+							station: owner,
 							fileName: data.fileName,
 							event: 'presign.ready',
 							message: 'Upload URL ready',
@@ -187,105 +605,114 @@ export const initializeWebSocket = (server) => {
 							requestId,
 							data: responsePayload
 						});
+						if (idempotencyKey) {
+							// A resent presign gets the same target while it is still valid.
+							settleIdempotent(
+								idempotencyKey,
+								{ type: 'presign_response', data: responsePayload },
+								{ expiresInMs: ttl * 1000 }
+							);
+						}
 						break;
 					}
 					case 'upload_complete': {
 						const data = uploadCompleteSchema.parse(payload);
-						sendStatus(socket, {
+						assertPromptAllowed(socket, data);
+						await assertKeyBelongsToScan(data);
+						joinScan(socket, data.scan);
+						// Checked before the limits, so a resend neither counts nor is refused.
+						const queuedUpload = findUploadJob(data.scan, idempotencyKey);
+						if (queuedUpload) {
+							await resumeUpload(socket, idempotencyKey, queuedUpload, { requestId, scan: data.scan });
+							break;
+						}
+						await enforceLimits(socket, { requestId, scan: data.scan, fileName: data.fileName });
+						const { job, waitingFor } = submitUpload({ ...data, owner }, { requestId, idempotencyKey });
+						const queued = publishStatus({
 							requestId,
 							scan: data.scan,
+							station: owner,
 							fileName: data.fileName,
 							event: 'analysis.queued',
-							message: 'Processing upload',
-							data: { key: data.key }
-						});
-
-						const result = await analyzeAndStore(data, {
-							onStatus: (event, statusMessage, extra = {}) => {
-								sendStatus(socket, {
-									requestId,
-									scan: data.scan,
-									fileName: data.fileName,
-									event,
-									message: statusMessage,
-									data: { ...extra, key: data.key }
-								});
-							}
-						});
-
-						sendStatus(socket, {
-							requestId,
-							scan: data.scan,
-							fileName: data.fileName,
-							event: 'analysis.completed',
-							message: 'Upload processed successfully',
-							data: { key: data.key }
-						});
-
-						sendJSON(socket, {
-							type: 'analysis_result',
-							requestId,
-							data: result
+							message: waitingFor
+								? `Waiting for ${waitingFor} more camera image(s) before analysis`
+								: 'Upload queued for analysis',
+							data: { key: data.key, jobId: job.id, waitingFor }
 						});
+						trackIdempotentJob(idempotencyKey, job, queued);
 						break;
 					}
 					case 'analyze_request': {
 						const data = analyzeRequestSchema.parse(payload);
-						sendStatus(socket, {
-							requestId,
-							scan: data.scan,
-							fileName: data.fileName,
-							event: 'analysis.queued',
-							message: 'Re-running analysis',
-							data: { key: data.key }
-						});
-
-						const result = await analyzeAndStore(
+						assertPromptAllowed(socket, data);
+						await assertKeyBelongsToScan(data);
+						joinScan(socket, data.scan);
+						await enforceLimits(socket, { requestId, scan: data.scan, fileName: data.fileName });
+						const job = analysisQueue.enqueue(
+							'analyze',
 							{
 								...data,
+								owner,
 								camera: data.camera ?? 1,
 								contentType: data.contentType ?? 'image/png'
 							},
-							{
-								onStatus: (event, statusMessage, extra = {}) => {
-									sendStatus(socket, {
-										requestId,
-										scan: data.scan,
-										fileName: data.fileName,
-										event,
-										message: statusMessage,
-										data: { ...extra, key: data.key }
-									});
-								}
-							}
+							{ scan: data.scan, requestId }
 						);
-
-						sendStatus(socket, {
+						const queued = publishStatus({
 							requestId,
 							scan: data.scan,
+							station: owner,
 							fileName: data.fileName,
-							event: 'analysis.completed',
-							message: 'Analysis finished',
-							data: { key: data.key }
+							event: 'analysis.queued',
+							message: 'Re-analysis queued',
+							data: { key: data.key, jobId: job.id }
 						});
-
+						trackIdempotentJob(idempotencyKey, job, queued);
+						break;
+					}
+					case 'subscribe': {
+						const data = subscribeSchema.parse(payload);
+						const scans = resolveScans(socket, data);
+						const stations = resolveStations(socket, data);
+						const channels = [...scans.map(scanChannel), ...stations.map(stationChannel)];
+						channels.forEach((channel) => subscribe(socket, channel));
+						const replay =
+							data.after === undefined ? { events: [], reset: false, gap: false } : replayEvents(channels, data);
+						replay.events.forEach((event) => sendJSON(socket, event));
 						sendJSON(socket, {
-							type: 'analysis_result',
+							type: 'subscribed',
 							requestId,
-							data: result
+							scans,
+							stations,
+							stream: STREAM_ID,
+							seq: lastSeq,
+							replayed: replay.events.length,
+							reset: replay.reset,
+							gap: replay.gap
 						});
 						break;
 					}
+					case 'unsubscribe': {
+						const data = unsubscribeSchema.parse(payload);
+						const stations = [...data.stations, ...(data.ownStation ? [stationId(owner)] : [])];
+						[...data.scans.map(scanChannel), ...stations.map(stationChannel)].forEach((channel) =>
+							unsubscribe(socket, channel)
+						);
+						sendJSON(socket, { type: 'unsubscribed', requestId, scans: data.scans, stations });
+						break;
+					}
 					default:
 						sendError(socket, { requestId, error: `Unsupported message type: ${type}` });
 				}
 			} catch (error) {
 				neonLog('WS', 'fail', `message processing error ${error.message ?? error}`);
+				if (idempotencyKey) failIdempotent(idempotencyKey, error.message ?? String(error));
 				sendError(socket, { requestId, error, scan: payload?.scan });
 			}
 		});
 
 		socket.on('close', () => {
+			unsubscribeAll(socket);
 			neonLog('WS', 'success', 'client disconnected');
 		});
 	});
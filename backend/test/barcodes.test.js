@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { expandUpcE, reconcileUpc, validateGtin } from '../src/services/barcodes.js';
+
+test('validateGtin accepts UPC-A, EAN-13 and EAN-8 codes with a valid check digit', () => {
+	assert.deepEqual(validateGtin('036000291452'), { valid: true, code: '036000291452', format: 'UPC-A' });
+	assert.deepEqual(validateGtin('4006381333931'), { valid: true, code: '4006381333931', format: 'EAN-13' });
+	assert.deepEqual(validateGtin('96385074'), { valid: true, code: '96385074', format: 'EAN-8' });
+	// An EAN-13 with a leading zero is stored as the UPC-A code.
+	assert.deepEqual(validateGtin('0 36000 29145 2'), { valid: true, code: '036000291452', format: 'UPC-A' });
+});
+
+test('validateGtin rejects wrong check digits, lengths and non-numeric input', () => {
+	assert.deepEqual(validateGtin('036000291453'), {
+		valid: false,
+		code: '036000291453',
+		reason: 'check digit should be 2'
+	});
+	assert.equal(validateGtin('96385075').reason, 'check digit should be 4');
+	assert.equal(validateGtin('1234567890').reason, 'expected 8, 12 or 13 digits, got 10');
+	assert.equal(validateGtin('UNKNOWN').reason, 'not numeric');
+});
+
+test('UPC-E codes are expanded to UPC-A before the check digit is tested', () => {
+	assert.equal(expandUpcE('04252614'), '042100005264');
+	assert.equal(expandUpcE('01234565'), '012345000065');
+	assert.equal(expandUpcE('21234565'), null);
+	assert.deepEqual(validateGtin('04252614', { format: 'UPC_E' }), {
+		valid: true,
+		code: '042100005264',
+		format: 'UPC-A'
+	});
+	// Read as EAN-8, the same digits fail the check.
+	assert.equal(validateGtin('04252614').valid, false);
+});
+
+test('reconcileUpc prefers a decoded UPC-E barcode over a wrong model answer', () => {
+	const { best, candidates } = reconcileUpc({
+		barcodes: [{ text: '04252614', format: 'UPC_E', side: 'back' }],
+		answer: { value: '042100005265', confidence: 0.9 },
+		ocrLines: ['0 42100 00526 4']
+	});
+	assert.equal(best.code, '042100005264');
+	assert.equal(best.source, 'barcode');
+	assert.deepEqual(
+		candidates.map(({ code, source, valid }) => ({ code, source, valid })),
+		[
+			{ code: '042100005264', source: 'barcode', valid: true },
+			{ code: '042100005265', source: 'model', valid: false }
+		]
+	);
+	assert.equal('barcodeFormat' in best, false);
+});
+
+test('reconcileUpc falls back to the model answer, then to OCR digit runs', () => {
+	assert.equal(reconcileUpc({ answer: { value: '036000291452', confidence: 0.8 } }).best.source, 'model');
+	const ocr = reconcileUpc({ answer: { value: '036000291453', confidence: 0.8 }, ocrLines: ['UPC 0 36000 29145 2'] });
+	assert.equal(ocr.best.source, 'ocr_regex');
+	assert.equal(ocr.best.code, '036000291452');
+	assert.equal(reconcileUpc({ barcodes: [{ text: '96385075', format: 'EAN_8' }] }).best, null);
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import sharp from 'sharp';
+
+// Both cameras of a scan are analyzed at the same time against the file stores. Each
+// image has its own fixture answer, so a lost write shows up as missing fields.
+const FRONT = {
+	detected_text: ['HOT WHEELS', 'SUBARU BRZ'],
+	item: {
+		line: { value: 'Hot Wheels', confidence: 0.9 },
+		model: { value: 'Subaru BRZ', confidence: 0.95 }
+	},
+	vehicle: { make: { value: 'Subaru', confidence: 0.9 } }
+};
+
+const BACK = {
+	detected_text: ['JBB55-N9COL G1', 'MADE IN MALAYSIA'],
+	codes: {
+		batch_code: { value: 'JBB55-N9COL G1', confidence: 0.8 },
+		country_of_origin: { value: 'Malaysia', confidence: 0.8 }
+	},
+	compliance: { age_warning: { value: '3+', confidence: 0.7 } }
+};
+
+const SCANS = ['C10001', 'C10002', 'C10003', 'C10004'];
+
+let dataDir;
+let analyzeAndStore;
+let recordStore;
+let historyStore;
+
+const solidPng = (background) =>
+	sharp({ create: { width: 32, height: 32, channels: 3, background } }).png().toBuffer();
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+before(async () => {
+	dataDir = await mkdtemp(join(tmpdir(), 'infinity-space-test-'));
+	const front = await solidPng('#d02020');
+	const back = await solidPng('#2040d0');
+	await writeFile(
+		join(dataDir, 'fixtures.json'),
+		JSON.stringify({ default: {}, [sha256(front)]: FRONT, [sha256(back)]: BACK })
+	);
+
+	Object.assign(process.env, {
+		BLOB_STORE: 'fs',
+		RECORD_STORE: 'file',
+		VISION_PROVIDER: 'fixture',
+		VISION_FIXTURE_PATH: join(dataDir, 'fixtures.json'),
+		LOCAL_DATA_DIR: dataDir,
+		BARCODE_DECODING: 'false'
+	});
+
+	// Configuration is read on import, so the modules load after the environment is set.
+	const storage = await import('../src/storage/index.js');
+	({ recordStore, historyStore } = storage);
+
+	// The file store answers within the same tick. Slow reads down like a remote table
+	// so the read-merge-write of both cameras overlap.
+	const read = recordStore.get;
+	recordStore.get = async (id) => {
+		const record = await read(id);
+		await pause(25);
+		return record;
+	};
+	({ analyzeAndStore } = await import('../src/services/analyzer.js'));
+
+	for (const scan of SCANS) {
+		await storage.blobStore.putObject(`${scan}_CAM1.png`, front, { contentType: 'image/png', metadata: { scan } });
+		await storage.blobStore.putObject(`${scan}_CAM2.png`, back, { contentType: 'image/png', metadata: { scan } });
+	}
+});
+
+after(async () => {
+	await rm(dataDir, { recursive: true, force: true });
+});
+
+test('concurrent analyses of one scan keep the fields of both cameras', async () => {
+	await Promise.all(
+		SCANS.flatMap((scan) => [
+			analyzeAndStore({ scan, key: `${scan}_CAM1.png`, camera: 1, fileName: `${scan}_CAM1.png` }),
+			analyzeAndStore({ scan, key: `${scan}_CAM2.png`, camera: 2, fileName: `${scan}_CAM2.png` })
+		])
+	);
+
+	for (const scan of SCANS) {
+		const record = await recordStore.get(scan);
+		assert.equal(record.item.model, 'Subaru BRZ', `${scan} item.model`);
+		assert.equal(record.vehicle.make, 'Subaru', `${scan} vehicle.make`);
+		assert.equal(record.codes.batch_code, 'JBB55-N9COL G1', `${scan} codes.batch_code`);
+		assert.equal(record.codes.country_of_origin, 'Malaysia', `${scan} codes.country_of_origin`);
+		assert.equal(record.compliance.age_warning, '3+', `${scan} compliance.age_warning`);
+		assert.deepEqual(record.media.map((media) => media.side).sort(), ['back', 'front'], `${scan} media`);
+		assert.ok(record.ocr.raw_text.includes('SUBARU BRZ') && record.ocr.raw_text.includes('JBB55-N9COL G1'));
+		assert.ok(Object.keys(record.extra.raw_front).length && Object.keys(record.extra.raw_back).length);
+		assert.equal(record.meta.version, 2, `${scan} meta.version`);
+
+		const { items } = await historyStore.list(scan);
+		assert.deepEqual(
+			items.map((entry) => entry.version),
+			[2, 1],
+			`${scan} history versions`
+		);
+	}
+});
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { createIdempotencyCache } from '../src/services/idempotency.js';
+
+// The in-memory cache of request outcomes, and the persisted queue that still knows an
+// upload's key after a restart. Combined mode with three cameras keeps the jobs pending.
+const UPLOAD = {
+	scan: 'I10001',
+	key: 'I10001_CAM1_1.png',
+	camera: 1,
+	fileName: 'I10001_CAM1_1.png',
+	contentType: 'image/png',
+	owner: 'station-1'
+};
+
+let dataDir;
+let queue;
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A fresh copy of the module stands in for a restarted server reading the same queue file.
+const restart = async (generation) => {
+	queue?.analysisQueue.stop();
+	// Let the last save reach the file first.
+	await pause(100);
+	queue = await import(`../src/services/analysisQueue.js?restart=${generation}`);
+	await queue.analysisQueue.start();
+	return queue;
+};
+
+before(async () => {
+	dataDir = await mkdtemp(join(tmpdir(), 'infinity-space-idempotency-'));
+	Object.assign(process.env, {
+		BLOB_STORE: 'fs',
+		RECORD_STORE: 'file',
+		VISION_PROVIDER: 'fixture',
+		LOCAL_DATA_DIR: dataDir,
+		ANALYSIS_MODE: 'combined',
+		ANALYSIS_CAMERA_COUNT: '3'
+	});
+	await restart(0);
+});
+
+after(async () => {
+	queue.analysisQueue.stop();
+	await pause(100);
+	await rm(dataDir, { recursive: true, force: true });
+});
+
+test('a completed request is replayed to waiters and kept until it expires', () => {
+	const cache = createIdempotencyCache({ ttlMs: 60000 });
+	const entry = cache.begin('s1:upload_complete:a');
+	entry.jobId = 'job-1';
+	entry.waiters.push({ requestId: 'r2' });
+	assert.deepEqual(
+		cache.forJob('job-1').map(({ key }) => key),
+		['s1:upload_complete:a']
+	);
+
+	const waiters = cache.complete('s1:upload_complete:a', { type: 'analysis_result', data: { scan: 'I1' } });
+	assert.deepEqual(waiters, [{ requestId: 'r2' }]);
+	assert.equal(cache.get('s1:upload_complete:a').response.data.scan, 'I1');
+	assert.deepEqual(cache.forJob('job-1'), []);
+
+	cache.complete('s1:upload_complete:a', { type: 'analysis_result' }, { expiresInMs: 0 });
+	assert.equal(cache.get('s1:upload_complete:a'), null);
+});
+
+test('a failed request is forgotten so a retry runs again', () => {
+	const cache = createIdempotencyCache({ ttlMs: 60000 });
+	cache.begin('s1:presign_request:b').waiters.push({ requestId: 'r3' });
+	assert.deepEqual(cache.fail('s1:presign_request:b'), [{ requestId: 'r3' }]);
+	assert.equal(cache.get('s1:presign_request:b'), null);
+	assert.deepEqual(cache.fail('s1:presign_request:b'), []);
+});
+
+test('the oldest entries are dropped beyond the size limit', () => {
+	const cache = createIdempotencyCache({ ttlMs: 60000, maxEntries: 2 });
+	['a', 'b', 'c'].forEach((key) => cache.begin(key));
+	assert.equal(cache.get('a'), null);
+	assert.ok(cache.get('b'));
+	assert.ok(cache.get('c'));
+});
+
+test('a resent upload joins its queued job, also after a restart', async () => {
+	const first = queue.submitUpload(UPLOAD, { requestId: 'r1', idempotencyKey: 'station-1:upload_complete:k1' });
+	assert.equal(first.duplicate, undefined);
+	assert.equal(first.waitingFor, 2);
+
+	const resent = queue.submitUpload(UPLOAD, { requestId: 'r2', idempotencyKey: 'station-1:upload_complete:k1' });
+	assert.equal(resent.duplicate, true);
+	assert.equal(resent.job.id, first.job.id);
+
+	await restart(1);
+	const replayed = queue.submitUpload(UPLOAD, { requestId: 'r3', idempotencyKey: 'station-1:upload_complete:k1' });
+	assert.equal(replayed.duplicate, true);
+	assert.equal(replayed.job.id, first.job.id);
+	assert.equal(replayed.waitingFor, 2);
+
+	const second = queue.submitUpload(
+		{ ...UPLOAD, key: 'I10001_CAM2_1.png', camera: 2, fileName: 'I10001_CAM2_1.png' },
+		{ requestId: 'r4', idempotencyKey: 'station-1:upload_complete:k2' }
+	);
+	assert.equal(second.job.id, first.job.id);
+	assert.equal(second.waitingFor, 1);
+
+	await restart(2);
+	const jobs = queue.analysisQueue.list({ scan: UPLOAD.scan });
+	assert.equal(jobs.length, 1);
+	assert.deepEqual(
+		jobs[0].payload.images.map(({ requestId, idempotencyKey }) => [requestId, idempotencyKey]),
+		[
+			['r1', 'station-1:upload_complete:k1'],
+			['r4', 'station-1:upload_complete:k2']
+		]
+	);
+	assert.equal(queue.findUploadJob(UPLOAD.scan, 'station-1:upload_complete:k2').job.id, first.job.id);
+	assert.equal(queue.findUploadJob(UPLOAD.scan, 'station-2:upload_complete:k2'), null);
+});
+
+test('a resent upload whose job failed for good is queued again', async () => {
+	const scan = 'I10002';
+	const upload = { ...UPLOAD, scan, key: 'I10002_CAM1_1.png' };
+	const first = queue.submitUpload(upload, { requestId: 'r1', idempotencyKey: 'station-1:upload_complete:k3' });
+	first.job.status = 'dead';
+
+	const retried = queue.submitUpload(upload, { requestId: 'r2', idempotencyKey: 'station-1:upload_complete:k3' });
+	assert.equal(retried.duplicate, undefined);
+	assert.notEqual(retried.job.id, first.job.id);
+	assert.equal(queue.analysisQueue.list({ scan, status: 'pending' }).length, 1);
+});
@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+
+// Edits, reverts and deletes of one record against the file stores, checked through
+// the history they leave.
+const EDITOR = { uid: 'reviewer-1', name: 'Reviewer' };
+
+let dataDir;
+let records;
+let recordStore;
+let historyStore;
+let createEmptyRecord;
+let setProvenance;
+
+const analyze = (id, values) =>
+	records.writeRecord(
+		id,
+		(previous) => {
+			const record = structuredClone(previous ?? createEmptyRecord(id));
+			Object.entries(values).forEach(([path, value]) => {
+				const [group, key] = path.split('.');
+				record[group][key] = value;
+				setProvenance(record, path, { source: 'model', confidence: 0.9, model: 'fixture' });
+			});
+			return record;
+		},
+		{ action: 'analysis' }
+	);
+
+before(async () => {
+	dataDir = await mkdtemp(join(tmpdir(), 'infinity-space-history-'));
+	Object.assign(process.env, {
+		BLOB_STORE: 'fs',
+		RECORD_STORE: 'file',
+		VISION_PROVIDER: 'fixture',
+		LOCAL_DATA_DIR: dataDir
+	});
+	// Configuration is read on import, so the modules load after the environment is set.
+	({ recordStore, historyStore } = await import('../src/storage/index.js'));
+	({ createEmptyRecord } = await import('../src/services/recordModel.js'));
+	({ setProvenance } = await import('../src/services/recordAnalysis.js'));
+	records = await import('../src/services/records.js');
+});
+
+after(async () => {
+	await rm(dataDir, { recursive: true, force: true });
+});
+
+test('reverting past a human edit restores the model value and removes the lock', async () => {
+	await analyze('R1', { 'item.model': 'Subaru BRZ', 'item.series': 'J-IMPORTS' });
+	const edited = await records.updateRecord('R1', { item: { model: 'Subaru BRZ STI' } }, { identity: EDITOR });
+	assert.ok(edited.locks['item.model'], 'the edit locks item.model');
+	// A re-analysis does not touch the locked field.
+	await analyze('R1', { 'item.series': 'J IMPORTS' });
+	assert.equal((await records.getRecord('R1')).item.model, 'Subaru BRZ STI');
+
+	const reverted = await records.revertRecord('R1', 1, { identity: EDITOR });
+	assert.equal(reverted.meta.version, 4);
+	assert.equal(reverted.item.model, 'Subaru BRZ');
+	assert.equal(reverted.item.series, 'J-IMPORTS');
+	assert.equal(reverted.locks['item.model'], undefined);
+	assert.equal(reverted.provenance['item.model'].source, 'model');
+
+	const { items } = await historyStore.list('R1');
+	assert.deepEqual(
+		items.map((entry) => [entry.version, entry.action]),
+		[
+			[4, 'revert'],
+			[3, 'analysis'],
+			[2, 'edit'],
+			[1, 'create']
+		]
+	);
+	assert.equal(items[0].reverted_to, 1);
+	assert.equal(items[0].user.uid, EDITOR.uid);
+	assert.ok(items[0].changes.some((change) => change.path === 'item.model' && change.new === 'Subaru BRZ'));
+
+	await assert.rejects(records.revertRecord('R1', 4), { status: 409 });
+});
+
+test('a delete ends the history and a second delete is not found', async () => {
+	await analyze('R2', { 'item.model': 'Nissan Skyline' });
+	await records.deleteRecord('R2', { identity: EDITOR });
+
+	assert.equal(await recordStore.get('R2'), null);
+	const { items } = await historyStore.list('R2');
+	assert.deepEqual(
+		items.map((entry) => [entry.version, entry.action]),
+		[
+			[2, 'delete'],
+			[1, 'create']
+		]
+	);
+	assert.ok(items[0].changes.some((change) => change.path === 'item.model' && change.old === 'Nissan Skyline'));
+	await assert.rejects(records.deleteRecord('R2'), { status: 404 });
+});
+
+test('a delete racing an edit deletes the edited version', async () => {
+	await analyze('R3', { 'item.model': 'Honda Civic' });
+
+	// The edit lands after the delete has read version 1.
+	const read = recordStore.get;
+	let raced = false;
+	recordStore.get = async (id) => {
+		const record = await read(id);
+		if (!raced) {
+			raced = true;
+			await records.updateRecord(id, { item: { model: 'Honda Civic Type R' } }, { identity: EDITOR });
+		}
+		return record;
+	};
+	try {
+		await records.deleteRecord('R3', { identity: EDITOR });
+	} finally {
+		recordStore.get = read;
+	}
+
+	assert.equal(await recordStore.get('R3'), null);
+	const { items } = await historyStore.list('R3');
+	assert.deepEqual(
+		items.map((entry) => [entry.version, entry.action]),
+		[
+			[3, 'delete'],
+			[2, 'edit'],
+			[1, 'create']
+		]
+	);
+	assert.ok(items[0].changes.some((change) => change.path === 'item.model' && change.old === 'Honda Civic Type R'));
+});
+
+test('a delete whose history entry cannot be written keeps the record', async () => {
+	await analyze('R4', { 'item.model': 'Toyota Supra' });
+
+	const append = historyStore.append;
+	historyStore.append = async () => {
+		throw new Error('disk full');
+	};
+	try {
+		await assert.rejects(records.deleteRecord('R4'), /disk full/);
+	} finally {
+		historyStore.append = append;
+	}
+
+	assert.equal((await recordStore.get('R4')).item.model, 'Toyota Supra');
+	const { items } = await historyStore.list('R4');
+	assert.deepEqual(
+		items.map((entry) => entry.action),
+		['create']
+	);
+});
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { WebSocket } from 'ws';
+
+// The import page resends `upload_complete` with the same idempotency key after every
+// reconnect. Each resend has to be answered from the job the first one queued, also by a
+// server that restarted in between. The queue is not started, so the job stays pending.
+const SCAN = 'U10001';
+const KEY = 'U10001_CAM1_1.png';
+const IDEMPOTENCY_KEY = 'U10001_1730750160846:cam1';
+
+let dataDir;
+let analysisQueue;
+let server;
+let wss;
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A fresh copy of ws.js stands in for a restarted server: its idempotency cache is empty,
+// while the job queue is the one the first copy filled.
+const listen = async (generation) => {
+	const { initializeWebSocket } = await import(`../src/ws.js?restart=${generation}`);
+	server = createServer();
+	wss = initializeWebSocket(server);
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+};
+
+const shutDown = async () => {
+	wss.clients.forEach((socket) => socket.terminate());
+	wss.close();
+	await new Promise((resolve) => server.close(resolve));
+};
+
+const connect = async () => {
+	const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}/ws`);
+	await new Promise((resolve, reject) => {
+		socket.once('open', resolve);
+		socket.once('error', reject);
+	});
+	return socket;
+};
+
+// Sends an upload_complete and resolves with the first answer to it: the queued
+// acknowledgement, the analysis result or an error.
+const uploadComplete = async (requestId) => {
+	const socket = await connect();
+	try {
+		return await new Promise((resolve, reject) => {
+			const timer = setTimeout(() => reject(new Error(`no answer to ${requestId}`)), 5000);
+			socket.on('message', (raw) => {
+				const message = JSON.parse(raw.toString());
+				if (message.requestId !== requestId) return;
+				if (message.type === 'status' && message.event !== 'analysis.queued') return;
+				clearTimeout(timer);
+				resolve(message);
+			});
+			socket.send(
+				JSON.stringify({
+					type: 'upload_complete',
+					requestId,
+					idempotencyKey: IDEMPOTENCY_KEY,
+					payload: { scan: SCAN, key: KEY, fileName: KEY, camera: 1, contentType: 'image/png' }
+				})
+			);
+		});
+	} finally {
+		socket.terminate();
+	}
+};
+
+before(async () => {
+	dataDir = await mkdtemp(join(tmpdir(), 'infinity-space-resend-'));
+	Object.assign(process.env, {
+		BLOB_STORE: 'fs',
+		RECORD_STORE: 'file',
+		VISION_PROVIDER: 'fixture',
+		LOCAL_DATA_DIR: dataDir,
+		AUTH_REQUIRED: 'false',
+		NODE_ENV: 'test'
+	});
+	const { blobStore } = await import('../src/storage/index.js');
+	({ analysisQueue } = await import('../src/services/analysisQueue.js'));
+	await blobStore.putObject(KEY, Buffer.from('png'), { contentType: 'image/png', metadata: { scan: SCAN } });
+	await listen(0);
+});
+
+after(async () => {
+	await shutDown();
+	// Let the queue file finish writing before its directory goes.
+	await pause(100);
+	await rm(dataDir, { recursive: true, force: true });
+});
+
+test('a resent upload_complete is acknowledged with the job the first one queued', async () => {
+	const first = await uploadComplete('r1');
+	assert.equal(first.type, 'status');
+	assert.equal(first.event, 'analysis.queued');
+	const { jobId } = first.data;
+
+	const resent = await uploadComplete('r2');
+	assert.equal(resent.event, 'analysis.queued');
+	assert.equal(resent.data.jobId, jobId);
+
+	await shutDown();
+	await listen(1);
+	const afterRestart = await uploadComplete('r3');
+	assert.equal(afterRestart.event, 'analysis.queued');
+	assert.equal(afterRestart.data.jobId, jobId);
+	assert.equal(afterRestart.data.key, KEY);
+
+	assert.deepEqual(
+		analysisQueue.list({ scan: SCAN }).map((job) => job.id),
+		[jobId]
+	);
+});
+
+test('a resent upload_complete of a finished job is answered with its result', async () => {
+	const [job] = analysisQueue.list({ scan: SCAN });
+	job.status = 'completed';
+
+	await shutDown();
+	await listen(2);
+	const resent = await uploadComplete('r4');
+	assert.equal(resent.type, 'analysis_result');
+	assert.equal(resent.data.scan, SCAN);
+	assert.deepEqual(resent.data.keys, [KEY]);
+	assert.equal(analysisQueue.list({ scan: SCAN }).length, 1);
+});
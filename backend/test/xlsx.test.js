@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { strFromU8, unzipSync } from 'fflate';
+
+import { formatXlsx } from '../src/services/xlsx.js';
+
+const ROWS = [
+	['id', 'item.model', 'count'],
+	['H10011', 'Subaru BRZ & "86"', 3],
+	['H10012', '=HYPERLINK("x")', null]
+];
+
+const PARTS = [
+	'[Content_Types].xml',
+	'_rels/.rels',
+	'xl/workbook.xml',
+	'xl/_rels/workbook.xml.rels',
+	'xl/worksheets/sheet1.xml'
+];
+
+const hasUnzip = spawnSync('unzip', ['-v']).status === 0;
+
+test('the workbook is a ZIP archive with every OOXML part', () => {
+	const files = unzipSync(formatXlsx(ROWS, { sheetName: 'Inventory' }));
+	assert.deepEqual(Object.keys(files), PARTS);
+	assert.match(strFromU8(files['xl/workbook.xml']), /<sheet name="Inventory" sheetId="1" r:id="rId1"\/>/);
+});
+
+test('cells are escaped inline strings or numbers, never formulas', () => {
+	const sheet = strFromU8(unzipSync(formatXlsx(ROWS))['xl/worksheets/sheet1.xml']);
+	assert.match(sheet, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">Subaru BRZ &amp; &quot;86&quot;<\/t><\/is><\/c>/);
+	assert.match(sheet, /<c r="C2"><v>3<\/v><\/c>/);
+	assert.match(sheet, /<c r="B3" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK\(&quot;x&quot;\)<\/t>/);
+	assert.doesNotMatch(sheet, /<f>/);
+	assert.doesNotMatch(sheet, /r="C3"/);
+});
+
+test('the archive passes an integrity check by unzip', { skip: !hasUnzip && 'unzip is not installed' }, async () => {
+	const dir = await mkdtemp(join(tmpdir(), 'infinity-space-xlsx-'));
+	try {
+		const file = join(dir, 'inventory.xlsx');
+		await writeFile(file, formatXlsx(ROWS));
+		const output = execFileSync('unzip', ['-t', file], { encoding: 'utf8' });
+		assert.match(output, /No errors detected/);
+		PARTS.forEach((part) => assert.ok(output.includes(part), part));
+	} finally {
+		await rm(dir, { recursive: true, force: true });
+	}
+});
@@ -0,0 +1,87 @@
+import { getAuthToken } from '$lib/auth';
+
+const DEFAULT_API_URL =
+	typeof window !== 'undefined' ? window.location.origin : 'http://localhost:4000';
+
+const API_URL = (import.meta.env.VITE_API_ENDPOINT ?? DEFAULT_API_URL).replace(/\/$/, '');
+
+const buildUrl = (path, query = {}) => {
+	const url = new URL(`${API_URL}${path}`);
+	Object.entries(query).forEach(([key, value]) => {
+		if (value === undefined || value === null || value === '') return;
+		url.searchParams.set(key, String(value));
+	});
+	return url.toString();
+};
+
+/**
+ * Bodies are sent as JSON unless a different `contentType` is given, in which case the
+ * body is sent as-is (e.g. CSV text).
+ * @param {string} path
+ * @param {{ method?: string; query?: Record<string, unknown>; body?: unknown; contentType?: string }} [options]
+ */
+export const apiRequest = async (
+	path,
+	{ method = 'GET', query, body, contentType = 'application/json' } = {}
+) => {
+	const isJson = contentType === 'application/json';
+	const token = getAuthToken();
+	/** @type {Record<string, string>} */
+	const headers = {};
+	if (body !== undefined) headers['Content-Type'] = contentType;
+	if (token) headers.Authorization = `Bearer ${token}`;
+	const response = await fetch(buildUrl(path, query), {
+		method,
+		headers,
+		body:
+			body === undefined
+				? undefined
+				: isJson
+					? JSON.stringify(body)
+					: /** @type {BodyInit} */ (body)
+	});
+
+	if (response.status === 204) return null;
+
+	const payload = await response.json().catch(() => null);
+	if (response.status === 401) {
+		throw new Error(`${payload?.message ?? 'Unauthorized'}; set a token on the Station page`);
+	}
+	if (!response.ok) {
+		throw new Error(payload?.message ?? `Request failed (${response.status})`);
+	}
+	return payload;
+};
+
+/**
+ * Downloads a file response, e.g. an export, and saves it under the server's file name.
+ * A `body` is sent as JSON with POST.
+ * @param {string} path
+ * @param {{ query?: Record<string, unknown>; body?: unknown; fallbackName?: string }} [options]
+ */
+export const apiDownload = async (path, { query, body, fallbackName = 'download' } = {}) => {
+	const token = getAuthToken();
+	/** @type {Record<string, string>} */
+	const headers = {};
+	if (body !== undefined) headers['Content-Type'] = 'application/json';
+	if (token) headers.Authorization = `Bearer ${token}`;
+	const response = await fetch(buildUrl(path, query), {
+		method: body === undefined ? 'GET' : 'POST',
+		headers,
+		body: body === undefined ? undefined : JSON.stringify(body)
+	});
+	if (!response.ok) {
+		const payload = await response.json().catch(() => null);
+		throw new Error(payload?.message ?? `Request failed (${response.status})`);
+	}
+
+	const disposition = response.headers.get('Content-Disposition') ?? '';
+	const fileName = disposition.match(/filename="?([^";]+)"?/)?.[1] ?? fallbackName;
+	const url = URL.createObjectURL(await response.blob());
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = fileName;
+	link.click();
+	URL.revokeObjectURL(url);
+	return fileName;
+};
@@ -0,0 +1,45 @@
+import { writable, get } from 'svelte/store';
+
+const STORAGE_KEY = 'infinity-space.token';
+
+/** Ordered by privilege, matching the backend. */
+const ROLES = ['scanner', 'reviewer', 'admin'];
+
+/**
+ * @typedef {object} Identity
+ * @property {string} uid
+ * @property {'user' | 'station'} kind
+ * @property {string} name
+ * @property {'scanner' | 'reviewer' | 'admin'} role
+ */
+
+const readStoredToken = () => {
+	if (typeof localStorage === 'undefined') return '';
+	return localStorage.getItem(STORAGE_KEY) ?? '';
+};
+
+/** Bearer token of this station or user, kept in localStorage. */
+export const authToken = writable(readStoredToken());
+
+/** @type {import('svelte/store').Writable<Identity | null>} */
+export const identity = writable(null);
+
+/** @param {string} token */
+export const setAuthToken = (token) => {
+	const value = token.trim();
+	if (typeof localStorage !== 'undefined') {
+		if (value) localStorage.setItem(STORAGE_KEY, value);
+		else localStorage.removeItem(STORAGE_KEY);
+	}
+	authToken.set(value);
+	if (!value) identity.set(null);
+};
+
+export const getAuthToken = () => get(authToken);
+
+/**
+ * @param {Identity | null} current
+ * @param {'scanner' | 'reviewer' | 'admin'} role
+ */
+export const hasRole = (current, role) =>
+	Boolean(current) && ROLES.indexOf(current.role) >= ROLES.indexOf(role);
@@ -0,0 +1,14 @@
+import { apiRequest } from '$lib/apiClient';
+import { identity } from '$lib/auth';
+
+/** Loads the identity behind the stored token into the `identity` store. */
+export const refreshIdentity = async () => {
+	try {
+		const result = await apiRequest('/auth/me');
+		identity.set(result.identity ?? null);
+		return result.identity ?? null;
+	} catch (err) {
+		identity.set(null);
+		throw err;
+	}
+};
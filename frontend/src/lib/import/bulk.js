@@ -0,0 +1,301 @@
+import { unzip } from 'fflate';
+import { sanitizeForFilename, uploadBlob } from '$lib/import/uploads';
+
+/**
+ * @typedef {object} ImportFile
+ * @property {string} path Path inside the selected folder or ZIP archive
+ * @property {Blob} blob
+ */
+
+/**
+ * @typedef {object} ImportRow
+ * @property {string} path
+ * @property {string | null} scan
+ * @property {number | null} camera
+ * @property {'pending' | 'uploading' | 'queued' | 'skipped' | 'failed'} status
+ * @property {string | null} reason
+ */
+
+/**
+ * @typedef {object} ImportGroup
+ * @property {string} scan
+ * @property {{ row: ImportRow, blob: Blob, extension: string }[]} files
+ */
+
+const PATTERN_KEY = 'infinity-space.bulk-import-pattern';
+
+/** `SCAN_CAM1.jpg`, `SCAN_front_20240101.png`, ... */
+export const DEFAULT_PATTERN = '{scan}_{side}*';
+
+const IMAGE_TYPES = {
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	webp: 'image/webp',
+	gif: 'image/gif'
+};
+
+const SIDES = { front: 1, back: 2 };
+
+const MAX_RATE_RETRIES = 5;
+
+export const readStoredPattern = () => {
+	if (typeof localStorage === 'undefined') return DEFAULT_PATTERN;
+	return localStorage.getItem(PATTERN_KEY) || DEFAULT_PATTERN;
+};
+
+/** @param {string} pattern */
+export const storePattern = (pattern) => {
+	if (typeof localStorage === 'undefined') return;
+	if (pattern && pattern !== DEFAULT_PATTERN) localStorage.setItem(PATTERN_KEY, pattern);
+	else localStorage.removeItem(PATTERN_KEY);
+};
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turns a filename pattern into a regular expression. `{scan}` is the scan ID,
+ * `{side}` the camera (`front`, `back`, `CAM2`, `C2` or `2`) and `*` matches anything.
+ * Patterns with `/` match the trailing folders of the path as well, so
+ * `{scan}/{side}` reads `H10011/front.jpg`. Matching ignores case and the extension.
+ *
+ * @param {string} pattern
+ */
+export const compilePattern = (pattern) => {
+	const value = pattern.trim();
+	['{scan}', '{side}'].forEach((token) => {
+		if (value.split(token).length !== 2) {
+			throw new Error(`The pattern needs ${token} exactly once`);
+		}
+	});
+	const source = value
+		.split(/(\{scan\}|\{side\}|\*)/)
+		.map((part) => {
+			if (part === '{scan}') return '(?<scan>[^/]+?)';
+			if (part === '{side}') return '(?<side>front|back|cam\\s*\\d+|c\\d+|\\d+)';
+			if (part === '*') return '[^/]*?';
+			return escapeRegExp(part);
+		})
+		.join('');
+	return { regex: new RegExp(`^${source}$`, 'i'), segments: value.split('/').length };
+};
+
+const sideToCamera = (side) => SIDES[side.toLowerCase()] ?? Number(side.match(/\d+/)?.[0] ?? 0);
+
+const extensionOf = (path) => path.match(/\.([^./]+)$/)?.[1]?.toLowerCase() ?? '';
+
+// Finder and Explorer metadata that ends up in folders and archives.
+const isSystemFile = (path) =>
+	path.startsWith('__MACOSX/') || path.split('/').some((segment) => segment.startsWith('.'));
+
+const skippedRow = (path, reason) => ({
+	path,
+	scan: null,
+	camera: null,
+	status: 'skipped',
+	reason
+});
+
+/**
+ * Extracts the images of a ZIP archive; other entries are reported as skipped.
+ *
+ * @param {File} file
+ * @returns {Promise<{ files: ImportFile[], skipped: ImportRow[] }>}
+ */
+const readZip = async (file) => {
+	const data = new Uint8Array(await file.arrayBuffer());
+	const skipped = [];
+	const entries = await new Promise((resolve, reject) => {
+		unzip(
+			data,
+			{
+				filter: ({ name }) => {
+					if (name.endsWith('/') || isSystemFile(name)) return false;
+					if (IMAGE_TYPES[extensionOf(name)]) return true;
+					skipped.push(skippedRow(`${file.name}/${name}`, 'Not an image'));
+					return false;
+				}
+			},
+			(error, result) => (error ? reject(error) : resolve(result))
+		);
+	});
+	const files = Object.entries(entries).map(([name, bytes]) => ({
+		path: `${file.name}/${name}`,
+		blob: new Blob([bytes], { type: IMAGE_TYPES[extensionOf(name)] })
+	}));
+	return { files, skipped };
+};
+
+/**
+ * Flattens a file or folder selection, unpacking ZIP archives.
+ *
+ * @param {File[]} selection
+ * @returns {Promise<{ files: ImportFile[], skipped: ImportRow[] }>}
+ */
+export const expandSelection = async (selection) => {
+	const files = [];
+	const skipped = [];
+	for (const file of selection) {
+		const path = file.webkitRelativePath || file.name;
+		if (isSystemFile(path)) continue;
+		if (extensionOf(path) === 'zip') {
+			try {
+				const archive = await readZip(file);
+				files.push(...archive.files);
+				skipped.push(...archive.skipped);
+			} catch (err) {
+				skipped.push(
+					skippedRow(path, `Unreadable ZIP: ${err instanceof Error ? err.message : err}`)
+				);
+			}
+		} else if (IMAGE_TYPES[extensionOf(path)]) {
+			files.push({ path, blob: file });
+		} else {
+			skipped.push(skippedRow(path, 'Not an image'));
+		}
+	}
+	return { files, skipped };
+};
+
+/**
+ * Groups the files by scan ID. Files the pattern does not match, and a second
+ * image for the same scan and camera, are skipped.
+ *
+ * @param {ImportFile[]} files
+ * @param {string} pattern
+ * @returns {{ groups: ImportGroup[], rows: ImportRow[] }}
+ */
+export const planImport = (files, pattern) => {
+	const { regex, segments } = compilePattern(pattern);
+	const groups = new Map();
+	const rows = [];
+
+	[...files]
+		.sort((a, b) => a.path.localeCompare(b.path))
+		.forEach(({ path, blob }) => {
+			const extension = extensionOf(path);
+			const subject = path
+				.split('/')
+				.slice(-segments)
+				.join('/')
+				.replace(/\.[^./]+$/, '');
+			const match = subject.match(regex);
+			const scan = match?.groups.scan.trim();
+			const camera = match ? sideToCamera(match.groups.side) : 0;
+			if (!scan || camera < 1) {
+				rows.push(skippedRow(path, `Does not match ${pattern}`));
+				return;
+			}
+
+			const group = groups.get(scan) ?? { scan, files: [] };
+			groups.set(scan, group);
+			const taken = group.files.find((item) => item.row.camera === camera);
+			if (taken) {
+				rows.push({
+					path,
+					scan,
+					camera,
+					status: 'skipped',
+					reason: `Camera ${camera} already comes from ${taken.row.path}`
+				});
+				return;
+			}
+			/** @type {ImportRow} */
+			const row = { path, scan, camera, status: 'pending', reason: null };
+			group.files.push({ row, blob, extension });
+			rows.push(row);
+		});
+
+	return { groups: [...groups.values()], rows };
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Analysis requests are rate limited per station; a refused request is sent again
+// once the window has room.
+const queueAnalysis = async (sendRequest, payload) => {
+	for (let attempt = 0; ; attempt += 1) {
+		try {
+			return await sendRequest('upload_complete', payload, {
+				until: (status) => status.event === 'analysis.queued'
+			});
+		} catch (err) {
+			if (!err?.retryAfterMs || attempt >= MAX_RATE_RETRIES) throw err;
+			await wait(err.retryAfterMs + 250);
+		}
+	}
+};
+
+/**
+ * Uploads each group through the presign flow and queues its analysis. Each
+ * group is sent as one multi-camera scan. `onProgress` runs after every row change.
+ *
+ * @param {object} options
+ * @param {ImportGroup[]} options.groups
+ * @param {(type: string, payload: Record<string, unknown>, options?: object) => Promise<any>} options.sendRequest
+ * @param {() => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] Stops before the next scan; the rest are skipped.
+ * @param {number} [options.concurrency]
+ */
+export const runImport = async ({
+	groups,
+	sendRequest,
+	onProgress = () => {},
+	signal,
+	concurrency = 2
+}) => {
+	const remaining = [...groups];
+
+	const importGroup = async ({ scan, files }) => {
+		const createdAt = Date.now();
+		const stamp = new Date(createdAt).toISOString().replace(/[-:TZ.]/g, '');
+		const baseName = sanitizeForFilename(scan) || 'BARCODE';
+		await Promise.all(
+			files.map(async ({ row, blob, extension }) => {
+				const fileName = `${baseName}_CAM${row.camera}_${stamp}.${extension}`;
+				row.status = 'uploading';
+				onProgress();
+				try {
+					const { key, url } = await uploadBlob(sendRequest, {
+						scan,
+						fileName,
+						camera: row.camera,
+						timestamp: createdAt,
+						blob
+					});
+					await queueAnalysis(sendRequest, {
+						scan,
+						key,
+						contentType: blob.type,
+						camera: row.camera,
+						timestamp: createdAt,
+						fileName,
+						cameraCount: files.length,
+						extra: { finalUrl: url, importedFrom: row.path }
+					});
+					row.status = 'queued';
+				} catch (err) {
+					row.status = 'failed';
+					row.reason = err instanceof Error ? err.message : 'Upload failed';
+				} finally {
+					onProgress();
+				}
+			})
+		);
+	};
+
+	const worker = async () => {
+		while (remaining.length && !signal?.aborted) {
+			await importGroup(remaining.shift());
+		}
+	};
+	await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+	remaining.forEach(({ files }) =>
+		files.forEach(({ row }) => {
+			row.status = 'skipped';
+			row.reason = 'Import stopped';
+		})
+	);
+	onProgress();
+};
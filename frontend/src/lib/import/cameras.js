@@ -1,5 +1,8 @@
+import { blobToDataUrl, DEFAULT_ENCODING, encodeCanvas } from './encoding.js';
+
 /**
  * @typedef {import('./vision.js').VisionState} VisionState
+ * @typedef {import('./encoding.js').EncodingSettings} EncodingSettings
  */
 
 /**
@@ -40,7 +43,20 @@ const stopStreamTracks = (stream) => {
 	stream?.getTracks().forEach((track) => track.stop());
 };
 
-const captureFromVideo = (video, rotation = 0) => {
+/**
+ * Grabs the current frame, rotated, and encodes it as a data URL within `maxBytes`.
+ * The frame is drawn right away; only the encoding is asynchronous.
+ *
+ * @param {HTMLVideoElement | null | undefined} video
+ * @param {number} [rotation]
+ * @param {EncodingSettings & { maxBytes?: number }} [encoding]
+ * @returns {Promise<string | null>}
+ */
+const captureFromVideo = async (
+	video,
+	rotation = 0,
+	{ maxBytes, ...settings } = DEFAULT_ENCODING
+) => {
 	if (!video) return null;
 
 	const width = video.videoWidth;
@@ -67,7 +83,8 @@ const captureFromVideo = (video, rotation = 0) => {
 	ctx.drawImage(video, -width / 2, -height / 2);
 	ctx.restore();
 
-	return canvas.toDataURL('image/png');
+	const { blob } = await encodeCanvas(canvas, settings, maxBytes);
+	return blobToDataUrl(blob);
 };
 
 /**
@@ -154,7 +171,8 @@ export const createCameraController = ({ refresh, vision }) => {
 		}
 	};
 
-	const capture = (cameraObj) => captureFromVideo(cameraObj?.videoEl, cameraObj?.rotation ?? 0);
+	const capture = (cameraObj, encoding) =>
+		captureFromVideo(cameraObj?.videoEl, cameraObj?.rotation ?? 0, encoding);
 
 	return {
 		rotate,
@@ -0,0 +1,82 @@
+/**
+ * @typedef {import('./uploads.js').UploadEntry} UploadEntry
+ */
+
+// Captured scans waiting to be uploaded or analyzed, kept in IndexedDB so a reload or
+// a dropped connection does not lose the photos.
+const DB_NAME = 'infinity-space';
+const DB_VERSION = 1;
+const STORE = 'captures';
+
+// Background sync tag and the message the service worker sends the import page when
+// the browser is back online.
+export const CAPTURE_SYNC_TAG = 'capture-queue';
+export const CAPTURE_SYNC_MESSAGE = 'capture-queue.sync';
+
+let databasePromise = null;
+
+const requestResult = (request) =>
+	new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+
+const openDatabase = () => {
+	if (typeof indexedDB === 'undefined') {
+		return Promise.reject(new Error('IndexedDB is not available in this browser'));
+	}
+	if (!databasePromise) {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			request.result.createObjectStore(STORE, { keyPath: 'id' });
+		};
+		databasePromise = requestResult(request);
+		databasePromise.catch(() => {
+			databasePromise = null;
+		});
+	}
+	return databasePromise;
+};
+
+const withStore = async (mode, action) => {
+	const database = await openDatabase();
+	return requestResult(action(database.transaction(STORE, mode).objectStore(STORE)));
+};
+
+/**
+ * An entry belongs to the backlog until every camera image has been analyzed. Entries
+ * without images can never be uploaded and are left out.
+ *
+ * @param {UploadEntry} entry
+ */
+export const isBacklog = (entry) => entry.uploads.length > 0 && entry.status !== 'success';
+
+/**
+ * Every stored capture, oldest first.
+ *
+ * @returns {Promise<UploadEntry[]>}
+ */
+export const loadCaptures = async () => {
+	const entries = await withStore('readonly', (store) => store.getAll());
+	return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+/**
+ * Stores the entry while it is part of the backlog and deletes it once it is not.
+ *
+ * @param {UploadEntry} entry
+ */
+export const syncCapture = (entry) =>
+	isBacklog(entry)
+		? withStore('readwrite', (store) => store.put(entry))
+		: withStore('readwrite', (store) => store.delete(entry.id));
+
+/**
+ * Asks the browser to fire a background sync once it is online again; the service
+ * worker then has the import page retry its backlog. A no-op without Background Sync.
+ */
+export const requestCaptureSync = async () => {
+	if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+	const registration = await navigator.serviceWorker.ready;
+	await registration.sync?.register(CAPTURE_SYNC_TAG);
+};
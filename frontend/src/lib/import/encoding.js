@@ -0,0 +1,158 @@
+/**
+ * @typedef {object} EncodingSettings
+ * @property {'jpeg' | 'webp' | 'png'} format
+ * @property {number} quality 0–1; PNG ignores it.
+ * @property {number} maxWidth Captures are scaled down to fit, keeping the aspect ratio.
+ * @property {number} maxHeight
+ */
+
+/**
+ * @typedef {object} EncodedImage
+ * @property {Blob} blob
+ * @property {number} width
+ * @property {number} height
+ * @property {number} quality
+ */
+
+export const ENCODING_FORMATS = {
+	jpeg: { label: 'JPEG', type: 'image/jpeg', extension: 'jpg', lossy: true },
+	webp: { label: 'WebP', type: 'image/webp', extension: 'webp', lossy: true },
+	png: { label: 'PNG', type: 'image/png', extension: 'png', lossy: false }
+};
+
+/** @type {EncodingSettings} */
+export const DEFAULT_ENCODING = { format: 'jpeg', quality: 0.92, maxWidth: 3840, maxHeight: 3840 };
+
+// The backend's MAX_UPLOAD_BYTES default, used until the server has sent its limit.
+export const DEFAULT_MAX_UPLOAD_BYTES = 5_000_000;
+
+const SETTINGS_KEY = 'infinity-space.capture-encoding';
+
+// The adaptive encoder lowers the quality in steps down to MIN_QUALITY, then shrinks
+// the image, until the capture fits the upload limit.
+const MIN_QUALITY = 0.5;
+const QUALITY_STEP = 0.1;
+const MIN_DIMENSION = 320;
+const MAX_ATTEMPTS = 10;
+
+const clamp = (value, min, max, fallback) => {
+	const number = Number(value);
+	return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+/**
+ * @param {Partial<EncodingSettings> | null | undefined} settings
+ * @returns {EncodingSettings}
+ */
+export const normalizeEncoding = (settings) => ({
+	format:
+		settings?.format && settings.format in ENCODING_FORMATS
+			? settings.format
+			: DEFAULT_ENCODING.format,
+	quality: clamp(settings?.quality, MIN_QUALITY, 1, DEFAULT_ENCODING.quality),
+	maxWidth: Math.round(clamp(settings?.maxWidth, MIN_DIMENSION, 8192, DEFAULT_ENCODING.maxWidth)),
+	maxHeight: Math.round(clamp(settings?.maxHeight, MIN_DIMENSION, 8192, DEFAULT_ENCODING.maxHeight))
+});
+
+/** Capture settings of this browser. */
+export const readEncodingSettings = () => {
+	if (typeof localStorage === 'undefined') return DEFAULT_ENCODING;
+	try {
+		return normalizeEncoding(JSON.parse(localStorage.getItem(SETTINGS_KEY) ?? 'null'));
+	} catch {
+		return DEFAULT_ENCODING;
+	}
+};
+
+/** @param {EncodingSettings} settings */
+export const storeEncodingSettings = (settings) => {
+	if (typeof localStorage === 'undefined') return;
+	localStorage.setItem(SETTINGS_KEY, JSON.stringify(normalizeEncoding(settings)));
+};
+
+/** @param {string} type */
+export const extensionForType = (type) =>
+	Object.values(ENCODING_FORMATS).find((format) => format.type === type)?.extension ?? 'png';
+
+/** @param {number} bytes */
+export const formatBytes = (bytes) =>
+	bytes >= 1_000_000 ? `${(bytes / 1_000_000).toFixed(1)} MB` : `${Math.round(bytes / 1000)} kB`;
+
+const fitWithin = (width, height, { maxWidth, maxHeight }) => {
+	const scale = Math.min(1, maxWidth / width, maxHeight / height);
+	return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+const resample = (source, width, height) => {
+	if (source.width === width && source.height === height) return source;
+	const canvas = document.createElement('canvas');
+	canvas.width = width;
+	canvas.height = height;
+	const ctx = canvas.getContext('2d');
+	if (!ctx) throw new Error('Unable to resize the captured image');
+	ctx.imageSmoothingQuality = 'high';
+	ctx.drawImage(source, 0, 0, width, height);
+	return canvas;
+};
+
+const canvasToBlob = (canvas, type, quality) =>
+	new Promise((resolve, reject) => {
+		canvas.toBlob(
+			(blob) => (blob ? resolve(blob) : reject(new Error('Unable to encode the captured image'))),
+			type,
+			quality
+		);
+	});
+
+/**
+ * Encodes a canvas with the given settings so the result is at most `maxBytes`.
+ * Browsers that cannot encode WebP get JPEG instead.
+ *
+ * @param {HTMLCanvasElement} source
+ * @param {EncodingSettings} settings
+ * @param {number} [maxBytes] No size limit when omitted.
+ * @returns {Promise<EncodedImage>}
+ */
+export const encodeCanvas = async (source, settings, maxBytes) => {
+	let format = ENCODING_FORMATS[settings.format] ?? ENCODING_FORMATS[DEFAULT_ENCODING.format];
+	let quality = settings.quality;
+	let { width, height } = fitWithin(source.width, source.height, settings);
+	let blob;
+
+	for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+		blob = await canvasToBlob(resample(source, width, height), format.type, quality);
+		// Unsupported types come back as PNG.
+		if (blob.type !== format.type) {
+			format = ENCODING_FORMATS.jpeg;
+			continue;
+		}
+		if (!maxBytes || blob.size <= maxBytes) {
+			return { blob, width, height, quality: format.lossy ? quality : 1 };
+		}
+		if (format.lossy && quality - QUALITY_STEP >= MIN_QUALITY) {
+			quality -= QUALITY_STEP;
+			continue;
+		}
+		// Encoded size grows roughly with the pixel count.
+		const scale = Math.sqrt(maxBytes / blob.size) * 0.9;
+		if (Math.min(width, height) * scale < MIN_DIMENSION) break;
+		width = Math.round(width * scale);
+		height = Math.round(height * scale);
+	}
+
+	throw new Error(
+		`Captured image is ${formatBytes(blob?.size ?? 0)}, over the ${formatBytes(maxBytes ?? 0)} upload limit`
+	);
+};
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export const blobToDataUrl = (blob) =>
+	new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onload = () => resolve(/** @type {string} */ (reader.result));
+		reader.onerror = () => reject(reader.error);
+		reader.readAsDataURL(blob);
+	});
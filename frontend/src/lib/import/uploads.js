@@ -1,3 +1,6 @@
+import { isBacklog } from './captureQueue.js';
+import { extensionForType } from './encoding.js';
+
 /**
  * @typedef {object} UploadEvent
  * @property {string} event
@@ -14,6 +17,8 @@
  * @property {'pending' | 'uploading' | 'analyzing' | 'success' | 'error'} status
  * @property {string | null} error
  * @property {string | null} url
+ * @property {string | null} key Object key once the image is stored; a retry skips the upload.
+ * @property {boolean} queued Whether the server has queued the analysis.
  * @property {unknown} analysis
  * @property {string | null} analysisError
  * @property {UploadEvent[]} [statusMessages]
@@ -22,6 +27,7 @@
 
 /**
  * @typedef {object} UploadEntry
+ * @property {string} id
  * @property {string} scan
  * @property {number} c
  * @property {'pending' | 'uploading' | 'success' | 'error'} status
@@ -33,6 +39,18 @@
 
 export const MAX_HISTORY = 10;
 
+/**
+ * Keeps the newest `size` finished entries. Unfinished entries are the offline backlog
+ * and are never dropped.
+ *
+ * @param {UploadEntry[]} entries
+ * @param {number} size
+ */
+export const trimHistory = (entries, size) => {
+	let finished = entries.filter((entry) => !isBacklog(entry)).length;
+	return entries.filter((entry) => isBacklog(entry) || finished-- <= size);
+};
+
 export const sanitizeForFilename = (value) => {
 	if (!value) return '';
 	return value
@@ -119,6 +137,43 @@ const performS3Upload = async (payload, blob, upload) => {
 	throw new Error('Upload payload missing URL information');
 };
 
+/**
+ * Presigns an upload target for one image and uploads it there. With an
+ * `idempotencyKey`, a retry reuses the target presigned before while it is valid.
+ *
+ * @param {(type: string, payload: Record<string, unknown>, options?: { idempotencyKey?: string }) => Promise<{ data: any }>} sendRequest
+ * @param {{ scan: string, fileName: string, camera: number, timestamp: number, blob: Blob, idempotencyKey?: string }} upload
+ * @returns {Promise<{ key: string, url: string }>}
+ */
+export const uploadBlob = async (
+	sendRequest,
+	{ scan, fileName, camera, timestamp, blob, idempotencyKey }
+) => {
+	const presignResponse = await sendRequest(
+		'presign_request',
+		{
+			scan,
+			fileName,
+			contentType: blob.type,
+			camera,
+			timestamp
+		},
+		{ idempotencyKey }
+	);
+
+	const payload = presignResponse.data;
+	if (!payload) {
+		throw new Error('Presign response missing payload');
+	}
+	const key = payload.key ?? payload?.fields?.key;
+	if (!key) {
+		throw new Error('Upload payload missing S3 object key');
+	}
+
+	const url = await performS3Upload(payload, blob, { fileName });
+	return { key, url };
+};
+
 const pruneUploadMeta = (analysisResult) => {
 	if (!analysisResult || typeof analysisResult !== 'object') return analysisResult;
 	if (Array.isArray(analysisResult)) {
@@ -148,6 +203,17 @@ const pruneUploadMeta = (analysisResult) => {
 	return cleaned;
 };
 
+/**
+ * @param {UploadRecord} upload
+ * @param {unknown} result The `analysis_result` data.
+ */
+const completeUpload = (upload, result) => {
+	upload.status = 'success';
+	upload.error = null;
+	upload.analysis = pruneUploadMeta(result);
+	upload.analysisError = null;
+};
+
 const updateEntryStatus = (entry) => {
 	if (!entry.uploads.length) {
 		entry.status = 'error';
@@ -173,15 +239,19 @@ const updateEntryStatus = (entry) => {
 	}
 };
 
+const dataUrlType = (dataUrl) => dataUrl.match(/^data:([^;,]+)/)?.[1] ?? 'image/png';
+
 const createUploads = (scanValue, images, timestamp) => {
 	const baseName = sanitizeForFilename(scanValue) || 'BARCODE';
 	return images.map((dataUrl, idx) => ({
 		camera: idx + 1,
 		preview: dataUrl,
-		fileName: `${baseName}_CAM${idx + 1}_${timestamp}.png`,
+		fileName: `${baseName}_CAM${idx + 1}_${timestamp}.${extensionForType(dataUrlType(dataUrl))}`,
 		status: 'pending',
 		error: null,
 		url: null,
+		key: null,
+		queued: false,
 		analysis: null,
 		analysisError: null,
 		statusMessages: [],
@@ -211,15 +281,22 @@ const recordEvent = (entry, upload, eventPayload) => {
 
 /**
  * @param {object} options
- * @param {(type: string, payload: Record<string, unknown>) => Promise<{ data: any }>} options.sendRequest
+ * @param {(type: string, payload: Record<string, unknown>, options?: { idempotencyKey?: string, until?: (status: any) => boolean }) => Promise<any>} options.sendRequest
  * @param {() => void} options.refreshHistory
  * @param {(scan: string) => UploadEntry | undefined} options.findEntry
+ * @param {(entry: UploadEntry) => Promise<unknown>} [options.persistEntry]
  */
-export const createUploadManager = ({ sendRequest, refreshHistory, findEntry }) => {
+export const createUploadManager = ({ sendRequest, refreshHistory, findEntry, persistEntry }) => {
 	const doRefresh = typeof refreshHistory === 'function' ? refreshHistory : () => {};
 	const locateEntry = typeof findEntry === 'function' ? findEntry : () => undefined;
+	const active = new Set();
+
+	const persist = (entry) => {
+		persistEntry?.(entry)?.catch((err) => console.error('Unable to persist capture', err));
+	};
 
 	const uploadEntry = async (entry) => {
+		if (active.has(entry)) return;
 		if (!entry.uploads.length) {
 			entry.status = 'error';
 			entry.error = 'No camera images available for upload';
@@ -227,12 +304,14 @@ export const createUploadManager = ({ sendRequest, refreshHistory, findEntry })
 			return;
 		}
 
+		active.add(entry);
 		entry.status = 'uploading';
 		entry.error = null;
 		doRefresh();
 
 		await Promise.all(
 			entry.uploads.map(async (upload) => {
+				if (upload.status === 'success') return;
 				if (!upload.preview) {
 					upload.status = 'error';
 					upload.error = 'Missing image data';
@@ -246,55 +325,62 @@ export const createUploadManager = ({ sendRequest, refreshHistory, findEntry })
 					return;
 				}
 
-				upload.status = 'uploading';
+				upload.status = upload.queued ? 'analyzing' : 'uploading';
 				upload.error = null;
 				doRefresh();
 
 				try {
-					const presignResponse = await sendRequest('presign_request', {
-						scan: entry.scan,
-						fileName: upload.fileName,
-						contentType: blob.type,
-						camera: upload.camera,
-						timestamp: entry.createdAt
-					});
-
-					const payload = presignResponse.data;
-					if (!payload) {
-						throw new Error('Presign response missing payload');
-					}
-					const s3Key = payload.key ?? payload?.fields?.key;
-					if (!s3Key) {
-						throw new Error('Upload payload missing S3 object key');
+					if (!upload.key) {
+						const { key, url } = await uploadBlob(sendRequest, {
+							scan: entry.scan,
+							fileName: upload.fileName,
+							camera: upload.camera,
+							timestamp: entry.createdAt,
+							blob,
+							idempotencyKey: `${entry.id}:cam${upload.camera}:presign`
+						});
+						upload.key = key;
+						upload.url = url;
+						persist(entry);
 					}
 
-					upload.url = await performS3Upload(payload, blob, upload);
 					upload.status = 'analyzing';
 					upload.error = null;
 					doRefresh();
 
-					const analysisResponse = await sendRequest('upload_complete', {
-						scan: entry.scan,
-						key: s3Key,
-						contentType: blob.type,
-						camera: upload.camera,
-						timestamp: entry.createdAt,
-						fileName: upload.fileName,
-						extra: {
-							finalUrl: upload.url
+					// Keyed by capture and camera, so retrying a backlog entry whose analysis
+					// already finished gets that result instead of a second analysis. Resolves
+					// once the job is queued; handleStatus sees it through to the result.
+					const response = await sendRequest(
+						'upload_complete',
+						{
+							scan: entry.scan,
+							key: upload.key,
+							contentType: blob.type,
+							camera: upload.camera,
+							timestamp: entry.createdAt,
+							fileName: upload.fileName,
+							cameraCount: entry.uploads.filter((item) => item.preview).length,
+							extra: {
+								finalUrl: upload.url
+							}
+						},
+						{
+							idempotencyKey: `${entry.id}:cam${upload.camera}`,
+							until: (status) => status.event === 'analysis.queued'
 						}
-					});
-
-					const analysisResult = pruneUploadMeta(analysisResponse.data);
+					);
 
-					upload.status = 'success';
-					upload.error = null;
-					upload.analysis = analysisResult;
-					upload.analysisError = null;
+					if (response.type === 'analysis_result') {
+						completeUpload(upload, response.data);
+					} else {
+						upload.queued = true;
+						upload.error = null;
+					}
 				} catch (err) {
+					const message = err instanceof Error ? err.message : 'Upload failed';
 					console.error('Upload pipeline error', err);
 					upload.status = 'error';
-					const message = err instanceof Error ? err.message : 'Upload failed';
 					upload.error = message;
 					upload.analysisError = message;
 
@@ -310,31 +396,57 @@ export const createUploadManager = ({ sendRequest, refreshHistory, findEntry })
 			})
 		);
 
+		active.delete(entry);
 		updateEntryStatus(entry);
+		persist(entry);
+		doRefresh();
+	};
+
+	// The result of a queued analysis, forwarded once its request has been acknowledged.
+	const handleResult = ({ data }) => {
+		const entry = data?.scan ? locateEntry(data.scan) : undefined;
+		if (!entry) return;
+		entry.uploads
+			.filter((upload) => upload.key && data.keys?.includes(upload.key))
+			.forEach((upload) => completeUpload(upload, data));
+		updateEntryStatus(entry);
+		persist(entry);
 		doRefresh();
 	};
 
 	const handleStatus = (status) => {
+		if (status?.type === 'analysis_result') {
+			handleResult(status);
+			return;
+		}
+
 		const { scan, fileName, message, event, timestamp, data } = status ?? {};
 		if (!scan) return;
 		/** @type {UploadEntry | undefined} */
 		const entry = locateEntry(scan);
 		if (!entry) return;
 
-		const upload = fileName ? entry.uploads.find((u) => u.fileName === fileName) : undefined;
-		recordEvent(entry, upload, { event, message, timestamp, data });
+		// Multi-camera jobs report their images by key only.
+		const keys = [data?.key, ...(Array.isArray(data?.keys) ? data.keys : [])].filter(Boolean);
+		const uploads = entry.uploads.filter(
+			(u) => (fileName && u.fileName === fileName) || (u.key && keys.includes(u.key))
+		);
+		if (!uploads.length) recordEvent(entry, undefined, { event, message, timestamp, data });
 
-		if (upload) {
+		uploads.forEach((upload) => {
+			recordEvent(entry, upload, { event, message, timestamp, data });
 			if (event === 'analysis.completed') {
 				upload.status = 'success';
 				upload.error = null;
-			} else if (event === 'analysis.queued') {
+			} else if (event === 'analysis.queued' || event === 'analysis.retry.scheduled') {
 				upload.status = 'analyzing';
+				upload.queued = true;
+				upload.error = null;
 			} else if (event && event.includes('error')) {
 				upload.status = 'error';
 				upload.error = message ?? event;
 			}
-		}
+		});
 
 		if (event === 'analysis.completed') {
 			entry.status = 'success';
@@ -347,13 +459,30 @@ export const createUploadManager = ({ sendRequest, refreshHistory, findEntry })
 		}
 
 		updateEntryStatus(entry);
+		persist(entry);
 		doRefresh();
 	};
 
+	// A stored entry from before a reload: uploads that were cut off start over, unless
+	// the server already has the image.
+	const restoreEntry = (entry) => {
+		entry.uploads.forEach((upload) => {
+			if (upload.status === 'uploading') upload.status = 'pending';
+		});
+		updateEntryStatus(entry);
+		return entry;
+	};
+
+	// Uploads every backlog entry that is not already in flight, e.g. after the
+	// WebSocket reconnects. Resolves once those attempts have ended.
+	const resume = (entries) =>
+		Promise.all(entries.filter((entry) => isBacklog(entry) && !active.has(entry)).map(uploadEntry));
+
 	const createEntry = ({ scanValue, scancount, images }) => {
 		const timestamp = new Date().toISOString().replace(/[-:TZ.]/g, '');
 		const uploads = createUploads(scanValue, images, timestamp);
 		return {
+			id: `${sanitizeForFilename(scanValue) || 'BARCODE'}_${timestamp}`,
 			scan: scanValue,
 			c: scancount,
 			status: uploads.length ? 'pending' : 'error',
@@ -367,6 +496,8 @@ export const createUploadManager = ({ sendRequest, refreshHistory, findEntry })
 	return {
 		createEntry,
 		uploadEntry,
-		handleStatus
+		handleStatus,
+		restoreEntry,
+		resume
 	};
 };
@@ -0,0 +1,60 @@
+import { apiRequest } from '$lib/apiClient';
+
+/**
+ * @typedef {object} CatalogEntry
+ * @property {string} id
+ * @property {string} line
+ * @property {string} series
+ * @property {string} model
+ * @property {string} subset_number
+ * @property {string[]} aliases
+ */
+
+/**
+ * @typedef {object} CatalogReviewItem
+ * @property {string} id
+ * @property {'series' | 'model'} field
+ * @property {string} value
+ * @property {string[]} scans
+ * @property {number} count
+ * @property {'open' | 'resolved' | 'dismissed'} status
+ * @property {string} first_seen
+ * @property {string} last_seen
+ */
+
+/** @returns {Promise<{ items: CatalogEntry[] }>} */
+export const fetchCatalog = () => apiRequest('/catalog');
+
+/**
+ * Imports a CSV or JSON catalog file as read from a file input.
+ * @param {File} file
+ * @param {{ replace?: boolean }} [options]
+ */
+export const importCatalogFile = async (file, { replace = false } = {}) => {
+	const text = await file.text();
+	const isJson = file.name.toLowerCase().endsWith('.json');
+	return apiRequest('/catalog/import', {
+		method: 'POST',
+		query: { replace: replace ? 'true' : undefined },
+		body: isJson ? JSON.parse(text) : text,
+		contentType: isJson ? 'application/json' : 'text/csv'
+	});
+};
+
+/**
+ * @param {'open' | 'resolved' | 'dismissed'} [status]
+ * @returns {Promise<{ items: CatalogReviewItem[] }>}
+ */
+export const fetchCatalogReview = (status = 'open') =>
+	apiRequest('/catalog/review', { query: { status } });
+
+/**
+ * @param {string} id
+ * @param {{ canonical: string; series?: string }} body
+ */
+export const resolveCatalogReview = (id, body) =>
+	apiRequest(`/catalog/review/${encodeURIComponent(id)}/resolve`, { method: 'POST', body });
+
+/** @param {string} id */
+export const dismissCatalogReview = (id) =>
+	apiRequest(`/catalog/review/${encodeURIComponent(id)}`, { method: 'DELETE' });
@@ -0,0 +1,245 @@
+/**
+ * @typedef {object} FieldDefinition
+ * @property {string[]} path
+ * @property {string} label
+ * @property {'text' | 'list' | 'number'} type
+ * @property {string | null} lock Lock key of the analysis field this belongs to, if any
+ */
+
+/**
+ * @typedef {object} FieldGroup
+ * @property {string} key
+ * @property {string} label
+ * @property {FieldDefinition[]} fields
+ */
+
+export const UNKNOWN_VALUE = 'UNKNOWN';
+
+const text = (path, label, lock = path.join('.')) => ({ path, label, type: 'text', lock });
+const list = (path, label, lock = path.join('.')) => ({ path, label, type: 'list', lock });
+const number = (path, label, lock = path.join('.')) => ({ path, label, type: 'number', lock });
+
+const PRIMARY_COLOR = 'visual.body_color_primary';
+
+/**
+ * Editable field groups, mirroring `createEmptyRecord` on the backend.
+ * @type {FieldGroup[]}
+ */
+export const FIELD_GROUPS = [
+	{
+		key: 'item',
+		label: 'Item',
+		fields: [
+			text(['item', 'line'], 'Line'),
+			text(['item', 'series'], 'Series'),
+			text(['item', 'model'], 'Model'),
+			text(['item', 'description'], 'Description')
+		]
+	},
+	{
+		key: 'packaging',
+		label: 'Packaging',
+		fields: [
+			text(['packaging', 'global_assortment_number'], 'Global assortment #'),
+			text(['packaging', 'subset_number'], 'Subset #'),
+			text(['packaging', 'guarantee_badge'], 'Guarantee badge'),
+			text(['packaging', 'card_front_logo'], 'Card front logo')
+		]
+	},
+	{
+		key: 'codes',
+		label: 'Codes',
+		fields: [
+			text(['codes', 'upc'], 'UPC'),
+			text(['codes', 'assortment'], 'Assortment'),
+			text(['codes', 'internal_code'], 'Internal code'),
+			text(['codes', 'batch_code'], 'Batch code'),
+			text(['codes', 'country_of_origin'], 'Country of origin'),
+			text(['codes', 'region'], 'Region')
+		]
+	},
+	{
+		key: 'branding',
+		label: 'Branding',
+		fields: [text(['branding', 'brand'], 'Brand'), list(['branding', 'websites'], 'Websites')]
+	},
+	{
+		key: 'compliance',
+		label: 'Compliance',
+		fields: [
+			text(['compliance', 'age_warning'], 'Age warning'),
+			list(['compliance', 'standards'], 'Standards'),
+			text(['compliance', 'recycling'], 'Recycling'),
+			text(['compliance', 'warranty'], 'Warranty'),
+			list(['compliance', 'warnings'], 'Warnings')
+		]
+	},
+	{
+		key: 'vehicle',
+		label: 'Vehicle',
+		fields: [
+			text(['vehicle', 'make'], 'Make'),
+			text(['vehicle', 'base_model'], 'Base model'),
+			text(['vehicle', 'condition'], 'Condition')
+		]
+	},
+	{
+		key: 'visual',
+		label: 'Visual',
+		fields: [
+			text(['visual', 'body_color_primary', 'norm'], 'Primary color', PRIMARY_COLOR),
+			text(['visual', 'body_color_primary', 'raw'], 'Primary color (raw)', PRIMARY_COLOR),
+			number(
+				['visual', 'body_color_primary', 'confidence'],
+				'Primary color confidence',
+				PRIMARY_COLOR
+			),
+			text(['visual', 'body_color_primary', 'source'], 'Primary color source', PRIMARY_COLOR),
+			list(['visual', 'body_color_secondary'], 'Secondary colors'),
+			text(['visual', 'graphics', 'style'], 'Graphics style'),
+			list(['visual', 'graphics', 'text_elements'], 'Graphics text'),
+			list(['visual', 'graphics', 'locations'], 'Graphics locations'),
+			text(['visual', 'wheels', 'style'], 'Wheel style'),
+			text(['visual', 'wheels', 'rim_color'], 'Rim color'),
+			text(['visual', 'wheels', 'tire_color'], 'Tire color'),
+			text(['visual', 'wheels', 'notes'], 'Wheel notes')
+		]
+	},
+	{
+		key: 'inventory',
+		label: 'Inventory',
+		fields: [
+			text(['inventory', 'location'], 'Location', null),
+			text(['inventory', 'status'], 'Status', null),
+			text(['inventory', 'owner'], 'Owner', null)
+		]
+	}
+];
+
+export const ALL_FIELDS = FIELD_GROUPS.flatMap((group) => group.fields);
+
+/**
+ * @param {Record<string, any> | null | undefined} record
+ * @param {string[]} path
+ */
+export const getPath = (record, path) =>
+	path.reduce((cursor, segment) => (cursor == null ? undefined : cursor[segment]), record);
+
+/**
+ * @param {Record<string, any>} target
+ * @param {string[]} path
+ * @param {unknown} value
+ */
+const setPath = (target, path, value) => {
+	let cursor = target;
+	path.slice(0, -1).forEach((segment) => {
+		cursor[segment] = cursor[segment] ?? {};
+		cursor = cursor[segment];
+	});
+	cursor[path[path.length - 1]] = value;
+};
+
+/**
+ * @typedef {object} FieldProvenance
+ * @property {'model' | 'ocr_regex' | 'human'} source
+ * @property {number | null} confidence
+ * @property {string} [model]
+ * @property {string} updated_at
+ */
+
+/**
+ * Where a field's value came from. Provenance is keyed by dotted path; sub-fields such
+ * as `visual.body_color_primary.norm` share the entry of their parent.
+ * @param {Record<string, any> | null | undefined} record
+ * @param {string[]} path
+ * @returns {FieldProvenance | undefined}
+ */
+export const getProvenance = (record, path) => {
+	const provenance = record?.provenance ?? {};
+	for (let length = path.length; length > 0; length -= 1) {
+		const entry = provenance[path.slice(0, length).join('.')];
+		if (entry) return entry;
+	}
+	return undefined;
+};
+
+/**
+ * @typedef {object} FieldLock
+ * @property {string} locked_by
+ * @property {string} locked_at
+ */
+
+/**
+ * Lock that keeps re-analysis from replacing a field's value.
+ * @param {Record<string, any> | null | undefined} record
+ * @param {FieldDefinition} field
+ * @returns {FieldLock | undefined}
+ */
+export const getLock = (record, field) => (field.lock ? record?.locks?.[field.lock] : undefined);
+
+/** @param {FieldProvenance | undefined} entry */
+export const describeProvenance = (entry) => {
+	if (!entry) return '';
+	const source = entry.source === 'ocr_regex' ? 'OCR' : entry.source;
+	return typeof entry.confidence === 'number'
+		? `${source} ${Math.round(entry.confidence * 100)}%`
+		: source;
+};
+
+/** @param {unknown} value */
+export const isUnknown = (value) =>
+	typeof value === 'string' && (value.trim() === '' || value.trim() === UNKNOWN_VALUE);
+
+/** @param {Record<string, any> | null | undefined} record */
+export const countUnknown = (record) =>
+	ALL_FIELDS.filter((field) => field.type === 'text' && isUnknown(getPath(record, field.path)))
+		.length;
+
+/**
+ * Converts a record into the string values the editor form binds to.
+ * @param {Record<string, any>} record
+ * @returns {Record<string, string>}
+ */
+export const toFormValues = (record) =>
+	Object.fromEntries(
+		ALL_FIELDS.map((field) => {
+			const value = getPath(record, field.path);
+			const formatted =
+				field.type === 'list' ? (Array.isArray(value) ? value.join(', ') : '') : (value ?? '');
+			return [field.path.join('.'), String(formatted)];
+		})
+	);
+
+/**
+ * @param {FieldDefinition} field
+ * @param {string} value
+ */
+const parseFormValue = (field, value) => {
+	if (field.type === 'list') {
+		return value
+			.split(',')
+			.map((entry) => entry.trim())
+			.filter(Boolean);
+	}
+	if (field.type === 'number') {
+		const numeric = Number(value);
+		return Number.isFinite(numeric) ? numeric : 0;
+	}
+	return value.trim();
+};
+
+/**
+ * Builds a PATCH body containing only the fields that differ from the stored record.
+ * @param {Record<string, any>} record
+ * @param {Record<string, string>} values
+ */
+export const buildPatch = (record, values) => {
+	const original = toFormValues(record);
+	const patch = {};
+	ALL_FIELDS.forEach((field) => {
+		const key = field.path.join('.');
+		if (values[key] === original[key]) return;
+		setPath(patch, field.path, parseFormValue(field, values[key] ?? ''));
+	});
+	return patch;
+};
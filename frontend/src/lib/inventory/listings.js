@@ -0,0 +1,45 @@
+import { apiDownload, apiRequest } from '$lib/apiClient';
+
+/**
+ * Placeholders are `{{group.field}}` record paths, e.g. `{{item.model}}`.
+ * @typedef {object} ListingTemplates
+ * @property {string} title
+ * @property {string} description
+ * @property {Record<string, string>} specifics Item specific name -> template
+ * @property {string[]} photo_order Media sides in photo order, e.g. `front`, `back`
+ * @property {string} category Marketplace category ID
+ * @property {string} condition_id
+ * @property {string} copy_instructions Extra guidance for the copywriting model
+ */
+
+/**
+ * @typedef {object} Listing
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {Record<string, string>} specifics
+ * @property {string[]} photos
+ * @property {string} category
+ * @property {string} condition_id
+ * @property {string} copy_source `template` or the model that wrote the copy
+ * @property {string[]} warnings
+ */
+
+/** @returns {Promise<ListingTemplates>} */
+export const fetchListingTemplates = () => apiRequest('/listings/templates');
+
+/** @param {ListingTemplates} templates */
+export const saveListingTemplates = (templates) =>
+	apiRequest('/listings/templates', { method: 'PUT', body: templates });
+
+/**
+ * @param {string[]} ids
+ * @param {{ assist?: boolean; templates?: ListingTemplates }} [options]
+ * @returns {Promise<{ items: Listing[]; errors: { id: string; message: string }[] }>}
+ */
+export const generateListings = (ids, { assist = false, templates } = {}) =>
+	apiRequest('/listings/generate', { method: 'POST', body: { ids, assist, templates } });
+
+/** @param {Listing[]} listings */
+export const downloadListingsCsv = (listings) =>
+	apiDownload('/listings/csv', { body: { listings }, fallbackName: 'listings.csv' });
@@ -0,0 +1,105 @@
+import { apiDownload, apiRequest } from '$lib/apiClient';
+
+/**
+ * @typedef {object} RecordFilters
+ * @property {string} [series]
+ * @property {string} [batchCode]
+ * @property {string} [status]
+ * @property {string} [scannedFrom]
+ * @property {string} [scannedTo]
+ */
+
+/**
+ * @typedef {object} RecordPage
+ * @property {Record<string, any>[]} items
+ * @property {string | null} nextCursor
+ */
+
+const toIso = (value) => {
+	if (!value) return undefined;
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+/** @param {RecordFilters} filters */
+const filterQuery = (filters) => ({
+	series: filters.series?.trim(),
+	batchCode: filters.batchCode?.trim(),
+	status: filters.status?.trim(),
+	scannedFrom: toIso(filters.scannedFrom),
+	scannedTo: toIso(filters.scannedTo)
+});
+
+/**
+ * @param {RecordFilters & { cursor?: string | null; limit?: number }} [options]
+ * @returns {Promise<RecordPage>}
+ */
+export const fetchRecords = ({ cursor, limit = 50, ...filters } = {}) =>
+	apiRequest('/records', { query: { limit, cursor, ...filterQuery(filters) } });
+
+/** @returns {Promise<{ columns: string[]; defaults: string[] }>} */
+export const fetchExportColumns = () => apiRequest('/records/export/columns');
+
+/**
+ * Downloads every record matching the listing filters as a spreadsheet.
+ * @param {RecordFilters} filters
+ * @param {{ format: 'csv' | 'xlsx'; columns: string[]; mediaUrls?: 'signed' | 'public' }} options
+ */
+export const exportRecords = (filters, { format, columns, mediaUrls }) =>
+	apiDownload('/records/export', {
+		query: { ...filterQuery(filters), format, columns: columns.join(','), mediaUrls },
+		fallbackName: `inventory.${format}`
+	});
+
+/** @param {string} id */
+export const fetchRecord = (id) => apiRequest(`/records/${encodeURIComponent(id)}`);
+
+/**
+ * @param {string} id
+ * @param {Record<string, unknown>} patch
+ */
+export const saveRecord = (id, patch) =>
+	apiRequest(`/records/${encodeURIComponent(id)}`, { method: 'PATCH', body: patch });
+
+/** @param {string} id */
+export const removeRecord = (id) =>
+	apiRequest(`/records/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+/**
+ * @typedef {object} HistoryChange
+ * @property {string} path
+ * @property {unknown} old
+ * @property {unknown} new
+ * @property {string} actor
+ */
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} record_id
+ * @property {number} version
+ * @property {'create' | 'analysis' | 'edit' | 'revert' | 'duplicate_link' | 'migrate' | 'delete'} action
+ * @property {string} timestamp
+ * @property {string | null} request_id
+ * @property {{ uid: string; name: string } | null} user
+ * @property {string} [model]
+ * @property {number} [reverted_to]
+ * @property {HistoryChange[]} changes
+ */
+
+/**
+ * @param {string} id
+ * @param {{ cursor?: string | null; limit?: number }} [options]
+ * @returns {Promise<{ items: HistoryEntry[]; nextCursor: string | null }>}
+ */
+export const fetchRecordHistory = (id, { cursor, limit = 20 } = {}) =>
+	apiRequest(`/records/${encodeURIComponent(id)}/history`, { query: { limit, cursor } });
+
+/**
+ * @param {string} id
+ * @param {number} version
+ */
+export const revertRecord = (id, version) =>
+	apiRequest(`/records/${encodeURIComponent(id)}/revert`, {
+		method: 'POST',
+		body: { version }
+	});
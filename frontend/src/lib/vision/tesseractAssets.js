@@ -0,0 +1,30 @@
+import { version } from 'tesseract.js/package.json';
+import { version as coreVersion } from 'tesseract.js-core/package.json';
+
+export const TESSERACT_LANG = 'eng';
+
+// Pinned to the installed packages so the service worker can precache exactly what the
+// OCR worker downloads.
+const WORKER_URL = `https://cdn.jsdelivr.net/npm/tesseract.js@v${version}/dist/worker.min.js`;
+const CORE_URL = `https://cdn.jsdelivr.net/npm/tesseract.js-core@v${coreVersion}`;
+const LANG_URL = `https://cdn.jsdelivr.net/npm/@tesseract.js-data/${TESSERACT_LANG}/4.0.0_best_int`;
+
+/** `createWorker` options pointing at the pinned worker, core and language data. */
+export const TESSERACT_PATHS = {
+	workerPath: WORKER_URL,
+	corePath: CORE_URL,
+	langPath: LANG_URL
+};
+
+/**
+ * Every file the LSTM-only worker may fetch. Tesseract picks the SIMD or plain core
+ * at runtime, so both are listed.
+ */
+export const TESSERACT_ASSETS = [
+	WORKER_URL,
+	`${CORE_URL}/tesseract-core-simd-lstm.wasm.js`,
+	`${CORE_URL}/tesseract-core-lstm.wasm.js`,
+	`${LANG_URL}/${TESSERACT_LANG}.traineddata.gz`
+];
+
+export const TESSERACT_CACHE = `tesseract-${version}-${coreVersion}`;
@@ -1,9 +1,10 @@
-import { createWorker } from 'tesseract.js';
+import { createWorker, OEM } from 'tesseract.js';
+import { TESSERACT_LANG, TESSERACT_PATHS } from './tesseractAssets.js';
 
 let workerPromise = null;
 
 const initWorker = async () => {
-	const worker = await createWorker();
+	const worker = await createWorker(TESSERACT_LANG, OEM.LSTM_ONLY, TESSERACT_PATHS);
 
 	await worker.setParameters({
 		tessedit_pageseg_mode: '7', // PSM 7 (single text line)
@@ -1,4 +1,5 @@
 import { writable } from 'svelte/store';
+import { authToken, getAuthToken, identity } from '$lib/auth';
 
 const DEFAULT_WS_URL =
 	typeof window !== 'undefined'
@@ -7,6 +8,15 @@ const DEFAULT_WS_URL =
 
 const WS_URL = import.meta.env.VITE_WS_ENDPOINT ?? DEFAULT_WS_URL;
 
+// Browsers cannot send headers on the upgrade, so the token goes in the query string.
+const buildSocketUrl = () => {
+	const token = getAuthToken();
+	if (!token) return WS_URL;
+	const url = new URL(WS_URL, typeof window !== 'undefined' ? window.location.href : undefined);
+	url.searchParams.set('token', token);
+	return url.toString();
+};
+
 const connectionState = writable({
 	connected: false,
 	connecting: false,
@@ -14,6 +24,9 @@ const connectionState = writable({
 	lastError: null
 });
 
+// Limits the server announces in `ready`; `maxBytes` stays null until the first one.
+const uploadLimitState = writable({ maxBytes: null });
+
 const statusHandlers = new Set();
 const snapshotHandlers = new Set();
 
@@ -24,6 +37,17 @@ let reconnectTimer;
 const pending = new Map();
 const queue = [];
 
+// Requests the server deduplicates by `idempotencyKey`; they survive a dropped
+// connection and are sent again after the reconnect.
+const IDEMPOTENT_TYPES = ['presign_request', 'upload_complete', 'analyze_request'];
+
+// Channel subscriptions made through `subscribeChannels`, renewed on every reconnect
+// together with the position in the server's event stream, so missed events are
+// replayed.
+const channelSubscriptions = new Set();
+let eventStream = null;
+let lastSeq = 0;
+
 const getRequestId = () => {
 	if (typeof globalThis !== 'undefined' && globalThis.crypto?.randomUUID) {
 		return globalThis.crypto.randomUUID();
@@ -43,8 +67,14 @@ const flushQueue = () => {
 	}
 };
 
-const rejectAllPending = (reason) => {
+// Idempotent requests go back into the queue; the server answers the resend with the
+// outcome of the first attempt; every other request fails with `reason`.
+const settleDisconnected = (reason) => {
 	for (const [id, entry] of pending.entries()) {
+		if (entry.encoded) {
+			if (!queue.includes(entry.encoded)) queue.push(entry.encoded);
+			continue;
+		}
 		clearTimeout(entry.timeout);
 		entry.reject(reason);
 		pending.delete(id);
@@ -62,11 +92,22 @@ const handleMessage = (event) => {
 
 	switch (message.type) {
 		case 'ready':
+			identity.set(message.identity ?? null);
+			if (message.maxUploadBytes) uploadLimitState.set({ maxBytes: message.maxUploadBytes });
 			setConnectionState({ connected: true, connecting: false, lastError: null });
+			resubscribe(message);
 			break;
-		case 'status':
+		case 'status': {
+			if (typeof message.seq === 'number') lastSeq = Math.max(lastSeq, message.seq);
+			const entry = pending.get(message.requestId);
+			if (entry?.until?.(message)) {
+				clearTimeout(entry.timeout);
+				entry.resolve(message);
+				pending.delete(message.requestId);
+			}
 			statusHandlers.forEach((handler) => handler(message));
 			break;
+		}
 		case 'snapshot':
 			snapshotHandlers.forEach((handler) => handler(message.operations ?? []));
 			break;
@@ -74,7 +115,10 @@ const handleMessage = (event) => {
 			const entry = pending.get(message.requestId);
 			if (entry) {
 				clearTimeout(entry.timeout);
-				entry.reject(new Error(message.error?.message ?? 'Request failed'));
+				const error = new Error(message.error?.message ?? 'Request failed');
+				// Set on rate-limit refusals: how long until the request may be sent again.
+				if (message.error?.retryAfterMs) error.retryAfterMs = message.error.retryAfterMs;
+				entry.reject(error);
 				pending.delete(message.requestId);
 			}
 			break;
@@ -94,6 +138,35 @@ const handleMessage = (event) => {
 	}
 };
 
+const subscriptionChannels = () => {
+	const scans = new Set();
+	const stations = new Set();
+	let ownStation = false;
+	channelSubscriptions.forEach((subscription) => {
+		subscription.scans.forEach((scan) => scans.add(scan));
+		subscription.stations.forEach((station) => stations.add(station));
+		ownStation ||= subscription.ownStation;
+	});
+	return { scans: [...scans], stations: [...stations], ownStation };
+};
+
+// On a reconnect the subscriptions are renewed from the last event seen. A restarted
+// server numbers its events from scratch; the old stream id tells it to replay
+// everything it kept.
+const resubscribe = (ready) => {
+	if (eventStream && channelSubscriptions.size) {
+		enqueue({
+			type: 'subscribe',
+			requestId: getRequestId(),
+			payload: { ...subscriptionChannels(), after: lastSeq, stream: eventStream }
+		});
+	}
+	if (ready.stream !== eventStream) {
+		eventStream = ready.stream ?? null;
+		lastSeq = ready.seq ?? 0;
+	}
+};
+
 const scheduleReconnect = () => {
 	if (typeof window === 'undefined') return;
 	if (reconnectTimer) return;
@@ -117,7 +190,7 @@ export const connect = () => {
 	}
 
 	try {
-		socket = new WebSocket(WS_URL);
+		socket = new WebSocket(buildSocketUrl());
 	} catch (error) {
 		console.error('Failed to open websocket', error);
 		setConnectionState({ lastError: error instanceof Error ? error.message : String(error) });
@@ -142,7 +215,7 @@ export const connect = () => {
 
 	socket.onclose = () => {
 		setConnectionState({ connected: false, connecting: false });
-		rejectAllPending(new Error('WebSocket disconnected'));
+		settleDisconnected(new Error('WebSocket disconnected'));
 		scheduleReconnect();
 	};
 };
@@ -154,9 +227,23 @@ const enqueue = (message) => {
 	} else {
 		queue.push(encoded);
 	}
+	return encoded;
 };
 
-export const sendRequest = (type, payload = {}, { timeout = 120000 } = {}) =>
+/**
+ * Sends a request and resolves with the response carrying its requestId. `until`
+ * resolves earlier, with the first status event of the request it accepts (e.g.
+ * `analysis.queued` instead of waiting for the analysis result).
+ *
+ * Presign, upload and analyze requests carry an `idempotencyKey` (generated unless
+ * given) and are resent after a reconnect instead of failing. Pass a stable key to
+ * have a later retry of the same work receive the result the server already has.
+ *
+ * @param {string} type
+ * @param {Record<string, unknown>} [payload]
+ * @param {{ timeout?: number, until?: (status: any) => boolean, idempotencyKey?: string }} [options]
+ */
+export const sendRequest = (type, payload = {}, { timeout = 120000, until, idempotencyKey } = {}) =>
 	new Promise((resolve, reject) => {
 		if (typeof window === 'undefined') {
 			reject(new Error('WebSocket unavailable in this environment'));
@@ -164,24 +251,56 @@ export const sendRequest = (type, payload = {}, { timeout = 120000 } = {}) =>
 		}
 
 		const requestId = getRequestId();
-		const message = { type, requestId, payload };
+		const idempotent = IDEMPOTENT_TYPES.includes(type);
+		const message = idempotent
+			? { type, requestId, idempotencyKey: idempotencyKey ?? getRequestId(), payload }
+			: { type, requestId, payload };
 
-		const timeoutId = window.setTimeout(() => {
+		const entry = { resolve, reject, until, timeout: undefined, encoded: null };
+		entry.timeout = window.setTimeout(() => {
 			if (pending.has(requestId)) {
 				pending.delete(requestId);
+				// A resend still waiting for the reconnect is dropped with the request.
+				const queued = queue.indexOf(entry.encoded);
+				if (queued >= 0) queue.splice(queued, 1);
 				reject(new Error(`Request timed out: ${type}`));
 			}
 		}, timeout);
+		pending.set(requestId, entry);
 
-		pending.set(requestId, {
-			resolve,
-			reject,
-			timeout: timeoutId
-		});
-
-		enqueue(message);
+		const encoded = enqueue(message);
+		if (idempotent) entry.encoded = encoded;
 	});
 
+/**
+ * Receives the status events of these scans and stations (station uids, or the
+ * connection's own station with `ownStation`) until the returned function is called.
+ * `replay` also delivers the events the server still holds for them.
+ *
+ * @param {{ scans?: string[], stations?: string[], ownStation?: boolean, replay?: boolean }} channels
+ * @returns {() => void}
+ */
+export const subscribeChannels = ({
+	scans = [],
+	stations = [],
+	ownStation = false,
+	replay = false
+}) => {
+	const subscription = { scans, stations, ownStation };
+	channelSubscriptions.add(subscription);
+	sendRequest('subscribe', {
+		scans,
+		stations,
+		ownStation,
+		...(replay ? { after: 0 } : {})
+	}).catch((error) => console.error('Subscribe failed', error));
+
+	return () => {
+		channelSubscriptions.delete(subscription);
+		sendRequest('unsubscribe', { scans, stations, ownStation }).catch(() => {});
+	};
+};
+
 export const subscribeStatus = (handler) => {
 	statusHandlers.add(handler);
 	return () => statusHandlers.delete(handler);
@@ -196,6 +315,18 @@ export const wsConnection = {
 	subscribe: connectionState.subscribe
 };
 
+export const uploadLimits = {
+	subscribe: uploadLimitState.subscribe
+};
+
 if (typeof window !== 'undefined') {
 	connect();
+
+	// Reconnect with the new token whenever it changes.
+	let currentToken = getAuthToken();
+	authToken.subscribe((token) => {
+		if (token === currentToken) return;
+		currentToken = token;
+		socket?.close();
+	});
 }
@@ -0,0 +1,138 @@
+/// <reference types="@sveltejs/kit" />
+/// <reference lib="webworker" />
+import { base, build, files, prerendered, version } from '$service-worker';
+import { CAPTURE_SYNC_MESSAGE, CAPTURE_SYNC_TAG } from '$lib/import/captureQueue';
+import { TESSERACT_ASSETS, TESSERACT_CACHE } from '$lib/vision/tesseractAssets';
+
+const sw = /** @type {ServiceWorkerGlobalScope} */ (/** @type {unknown} */ (self));
+
+const SHELL_CACHE = `shell-${version}`;
+
+// The SPA fallback page renders every route, so it is the offline answer to any
+// navigation.
+const SHELL_PAGE = `${base}/`;
+const SHELL_ASSETS = [...new Set([...build, ...files, ...prerendered, SHELL_PAGE])];
+const SHELL_PATHS = new Set(SHELL_ASSETS);
+const IMPORT_PAGE = `${base}/import`;
+
+const TESSERACT_URLS = new Set(TESSERACT_ASSETS);
+
+// How long a sync event waits for an open import page to flush its backlog; browsers
+// end sync events after a few minutes.
+const SYNC_TIMEOUT_MS = 3 * 60 * 1000;
+
+sw.addEventListener('install', (event) => {
+	event.waitUntil(
+		(async () => {
+			// One file at a time: `addAll` rejects as a whole when a single request fails
+			// (e.g. a host that does not serve the SPA fallback at `${base}/`). The fetch
+			// handler caches a file missing here on first use.
+			const shell = await caches.open(SHELL_CACHE);
+			const results = await Promise.allSettled(SHELL_ASSETS.map((path) => shell.add(path)));
+			const missing = SHELL_ASSETS.filter((_, index) => results[index].status === 'rejected');
+			if (missing.length) console.warn('Shell assets not precached', missing);
+			// OCR assets come from a CDN; a failed download is retried on first use
+			// instead of failing the install.
+			const tesseract = await caches.open(TESSERACT_CACHE);
+			const cached = await Promise.all(TESSERACT_ASSETS.map((url) => tesseract.match(url)));
+			await tesseract
+				.addAll(TESSERACT_ASSETS.filter((_, index) => !cached[index]))
+				.catch((error) => console.warn('Tesseract assets not precached', error));
+			await sw.skipWaiting();
+		})()
+	);
+});
+
+sw.addEventListener('activate', (event) => {
+	event.waitUntil(
+		(async () => {
+			const keep = [SHELL_CACHE, TESSERACT_CACHE];
+			for (const key of await caches.keys()) {
+				if (!keep.includes(key)) await caches.delete(key);
+			}
+			await sw.clients.claim();
+		})()
+	);
+});
+
+const cacheFirst = async (cacheName, request) => {
+	const cache = await caches.open(cacheName);
+	const cached = await cache.match(request);
+	if (cached) return cached;
+	const response = await fetch(request);
+	if (response.ok) await cache.put(request, response.clone());
+	return response;
+};
+
+// Pages come from the network while online so a deploy shows up on the next load. A
+// shell page that install could not cache is kept from the first navigation to it.
+const networkFirstPage = async (request) => {
+	try {
+		const response = await fetch(request);
+		if (response.ok && new URL(request.url).pathname === SHELL_PAGE) {
+			const cache = await caches.open(SHELL_CACHE);
+			if (!(await cache.match(SHELL_PAGE))) await cache.put(SHELL_PAGE, response.clone());
+		}
+		return response;
+	} catch (error) {
+		const cache = await caches.open(SHELL_CACHE);
+		const page = (await cache.match(request)) ?? (await cache.match(SHELL_PAGE));
+		if (page) return page;
+		throw error;
+	}
+};
+
+sw.addEventListener('fetch', (event) => {
+	const { request } = event;
+	if (request.method !== 'GET') return;
+
+	if (TESSERACT_URLS.has(request.url)) {
+		event.respondWith(cacheFirst(TESSERACT_CACHE, request));
+		return;
+	}
+
+	const url = new URL(request.url);
+	// API calls, uploads and the WebSocket always go to the network.
+	if (url.origin !== sw.location.origin) return;
+
+	if (request.mode === 'navigate') {
+		event.respondWith(networkFirstPage(request));
+		return;
+	}
+
+	if (SHELL_PATHS.has(url.pathname)) {
+		event.respondWith(cacheFirst(SHELL_CACHE, request));
+	}
+});
+
+// Asks an open import page to upload its stored captures and resolves with how many
+// still failed.
+const requestFlush = (client) =>
+	new Promise((resolve, reject) => {
+		const channel = new MessageChannel();
+		const timer = setTimeout(
+			() => reject(new Error('Capture queue flush timed out')),
+			SYNC_TIMEOUT_MS
+		);
+		channel.port1.onmessage = ({ data }) => {
+			clearTimeout(timer);
+			resolve(data?.remaining ?? 0);
+		};
+		client.postMessage({ type: CAPTURE_SYNC_MESSAGE }, [channel.port2]);
+	});
+
+// Uploads need the page's WebSocket and token, so the sync hands the work to an open
+// page. A rejected sync is retried by the browser later.
+sw.addEventListener('sync', (event) => {
+	if (event.tag !== CAPTURE_SYNC_TAG) return;
+	event.waitUntil(
+		(async () => {
+			const clients = (await sw.clients.matchAll({ type: 'window' })).filter(
+				(client) => new URL(client.url).pathname.replace(/\/$/, '') === IMPORT_PAGE
+			);
+			if (!clients.length) throw new Error('No open import page to upload the capture queue');
+			const remaining = await Promise.any(clients.map(requestFlush));
+			if (remaining > 0) throw new Error(`${remaining} capture(s) still waiting`);
+		})()
+	);
+});
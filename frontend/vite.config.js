@@ -11,6 +11,22 @@ export default defineConfig({
 				changeOrigin: true,
 				ws: true
 			},
+			'/records': {
+				target: 'http://localhost:4000',
+				changeOrigin: true
+			},
+			'/catalog': {
+				target: 'http://localhost:4000',
+				changeOrigin: true
+			},
+			'/listings': {
+				target: 'http://localhost:4000',
+				changeOrigin: true
+			},
+			'/auth': {
+				target: 'http://localhost:4000',
+				changeOrigin: true
+			},
 			'/ws': {
 				target: 'http://localhost:4000',
 				changeOrigin: true,